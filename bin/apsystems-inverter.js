@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+// Walks through the EMA login and every endpoint the plugin reads, printing
+// what comes back at each step. The first thing to run when HomeKit shows 0.
+
+const {
+	buildAccount,
+	buildDemoLoginUrl,
+	createApiClient,
+	describeFault,
+	getDemoSessionCookies,
+	getAccountSessionCookies,
+	getDashboardData,
+	getInverterData,
+	parseDashboardReadings,
+	parseDashboardMonthlyReadings,
+	parseDashboardPower,
+	parseDashboardPowerCurve,
+	parseDashboardLifetime,
+	parseLegacyReadings,
+	DASHBOARD_DAILY_ENERGY_ENDPOINT,
+	DASHBOARD_MONTHLY_ENERGY_ENDPOINT,
+	DASHBOARD_PRODUCTION_INFO_ENDPOINT,
+	DASHBOARD_POWER_CURVE_ENDPOINT
+} = require('../index.js');
+const { SOURCE_DASHBOARD, SOURCE_LEGACY } = require('../lib/config');
+const { getSiteDay } = require('../lib/site-time');
+
+// Response bodies longer than this are cut unless --raw is given
+const RAW_PREVIEW_LENGTH = 600;
+
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: apsystems-inverter check [options]
+
+Dashboard login (one of):
+  --demo-user-id <id>       Demo user ID from the EMA "share" link
+  --demo-login-url <url>    Complete demo login link
+  --username <name>         EMA account username, with --password
+  --password <password>     EMA account password (or set APSYSTEMS_PASSWORD)
+
+Legacy API:
+  --ecu-id <id> --legacy    Query the legacy getPowerInfo endpoint for this ECU
+
+Options:
+  --timezone <zone>         IANA timezone of the site, e.g. Europe/Amsterdam (default: this computer's)
+  --server <url>            EMA server to check instead of apsystemsema.com, such as a local stand-in
+  --raw                     Print complete response bodies
+  --help                    Show this help
+
+Exits with 0 when readings were received, 1 when a step failed and 2 for usage errors.`;
+
+const OPTIONS = {
+	'--demo-user-id': 'demoUserId',
+	'--demo-login-url': 'demoLoginUrl',
+	'--username': 'username',
+	'--password': 'password',
+	'--ecu-id': 'ecuId',
+	'--timezone': 'timezone'
+};
+
+// Options of the command rather than of the account
+const COMMAND_OPTIONS = {
+	'--server': 'server'
+};
+
+const FLAGS = ['--legacy', '--raw', '--help'];
+
+/**
+ * Parse the command line
+ *
+ * @param {argv} Arguments after the script name
+ * @returns {object} { command, config, options, flags } or { error }
+ */
+const parseArguments = (argv) => {
+	const config = {};
+	const options = {};
+	const flags = {};
+	let command = null;
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (FLAGS.includes(arg)) {
+			flags[arg.slice(2)] = true;
+		} else if (OPTIONS[arg] || COMMAND_OPTIONS[arg]) {
+			if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+				return { error: `${arg} needs a value` };
+			}
+			if (OPTIONS[arg]) {
+				config[OPTIONS[arg]] = argv[++i];
+			} else {
+				options[COMMAND_OPTIONS[arg]] = argv[++i];
+			}
+		} else if (!arg.startsWith('--') && !command) {
+			command = arg;
+		} else {
+			return { error: `Unknown argument "${arg}"` };
+		}
+	}
+
+	if (config.username && !config.password && process.env.APSYSTEMS_PASSWORD) {
+		config.password = process.env.APSYSTEMS_PASSWORD;
+	}
+	if (flags.legacy) {
+		config.dataSource = SOURCE_LEGACY;
+	}
+	return { command, config, options, flags };
+}
+
+/**
+ * @param {value} Cookie value
+ * @returns {string} The start of the value and its length, enough to compare sessions without leaking them
+ */
+const maskValue = (value) => {
+	const text = String(value);
+	return text.length > 8 ? `${text.slice(0, 4)}... (${text.length} chars)` : `(${text.length} chars)`;
+}
+
+/**
+ * @param {data} Response body
+ * @param {raw} Whether to print it in full
+ * @returns {string} The body as text, cut to RAW_PREVIEW_LENGTH unless raw is set
+ */
+const formatBody = (data, raw) => {
+	const text = typeof data === 'string' ? data : JSON.stringify(data, null, raw ? 2 : 0);
+	if (raw || text.length <= RAW_PREVIEW_LENGTH) {
+		return text;
+	}
+	return `${text.slice(0, RAW_PREVIEW_LENGTH)}... (${text.length} chars, --raw prints all)`;
+}
+
+/**
+ * @param {key} Readings key
+ * @param {value} Reading
+ * @returns {string} The reading for display, with times as ISO dates
+ */
+const formatReading = (key, value) => {
+	return key === 'peakTime' ? new Date(value).toISOString() : String(value);
+}
+
+/**
+ * Prints the steps of a check and remembers the first failure
+ */
+class CheckReport {
+	constructor(raw) {
+		this.raw = raw;
+		this.failure = null;
+		this.warnings = [];
+	}
+
+	step(title) {
+		console.log(`\n== ${title}`);
+	}
+
+	info(message) {
+		console.log(`   ${message}`);
+	}
+
+	ok(message) {
+		console.log(`   OK    ${message}`);
+	}
+
+	warn(message) {
+		console.log(`   WARN  ${message}`);
+		this.warnings.push(message);
+	}
+
+	fail(message) {
+		console.log(`   FAIL  ${message}`);
+		if (!this.failure) {
+			this.failure = message;
+		}
+	}
+
+	body(data) {
+		console.log(`   Raw:    ${formatBody(data, this.raw)}`);
+	}
+
+	parsed(value) {
+		// Lists of samples or days are summed up unless --raw is given
+		const summarize = (key, item) => Array.isArray(item) && item.length > 0 && typeof item[0] === 'object' && !this.raw
+			? `[${item.length} entries]`
+			: item;
+		console.log(`   Parsed: ${value == null ? 'nothing usable' : JSON.stringify(value, summarize)}`);
+	}
+}
+
+/**
+ * @param {client} Account HTTP client
+ * @param {fallback} Message when no fault was recorded
+ * @returns {string} Why the last request of the client failed
+ */
+const getFailureReason = (client, fallback) => {
+	return client.fault ? describeFault(client.fault) : fallback;
+}
+
+/**
+ * Log in to the dashboard and list the session cookies
+ *
+ * @returns {boolean} Whether a session was established
+ */
+const checkLogin = async (client, account, report) => {
+	if (account.username) {
+		report.step(`Account login as "${account.username}"`);
+	} else {
+		report.step('Demo login');
+		report.info(`URL: ${account.demoLoginUrl || buildDemoLoginUrl(account.demoUserId, client.dashboardBaseUrl)}`);
+	}
+
+	const cookies = account.username
+		? await getAccountSessionCookies(client, account.username, account.password)
+		: await getDemoSessionCookies(client, account.demoLoginUrl, account.demoUserId);
+	const names = Object.keys(cookies);
+
+	if (names.length === 0) {
+		report.fail(`login failed: ${getFailureReason(client, 'the server set no session cookies')}`);
+		return false;
+	}
+
+	report.ok(`${names.length} cookie(s) obtained`);
+	names.forEach(name => report.info(`${name} = ${maskValue(cookies[name])}`));
+	return true;
+}
+
+/**
+ * Call one dashboard endpoint and print its raw and parsed answer
+ *
+ * @returns {object} Parsed value, or null if the call failed or held nothing usable
+ */
+const checkEndpoint = async (client, report, title, endpoint, parse) => {
+	report.step(title);
+	report.info(`POST ${endpoint}`);
+	client.fault = null;
+
+	const response = await getDashboardData(client, null, endpoint);
+	if (!response || response.sessionExpired) {
+		report.fail(getFailureReason(client, 'no response'));
+		return null;
+	}
+
+	report.ok(`HTTP ${response.status}`);
+	report.body(response.data);
+	const parsed = parse(response.data);
+	report.parsed(parsed);
+	return parsed;
+}
+
+/**
+ * Check the dashboard data source step by step
+ *
+ * @returns {object} Readings as the plugin would report them, or null
+ */
+const checkDashboard = async (client, account, report) => {
+	if (!(await checkLogin(client, account, report))) {
+		return null;
+	}
+
+	const daily = await checkEndpoint(client, report, 'Daily energy (last week)',
+		DASHBOARD_DAILY_ENERGY_ENDPOINT, (data) => parseDashboardReadings(data, account.timezone));
+	if (!daily && !report.failure) {
+		report.fail('the daily energy list holds no values, today\'s kWh is unknown');
+	}
+
+	const production = await checkEndpoint(client, report, 'Production info',
+		DASHBOARD_PRODUCTION_INFO_ENDPOINT, (data) => ({ watts: parseDashboardPower(data), lifetimeKwh: parseDashboardLifetime(data) }));
+	let watts = production ? production.watts : null;
+
+	// The power curve gives the peak, and the power when the production info has none
+	const curve = await checkEndpoint(client, report, 'Power curve (today)',
+		DASHBOARD_POWER_CURVE_ENDPOINT, (data) => ({ watts: parseDashboardPower(data), ...parseDashboardPowerCurve(data, account.timezone) }));
+	if (watts === null && curve) {
+		watts = curve.watts;
+	}
+
+	const monthly = await checkEndpoint(client, report, 'Monthly energy (this year)',
+		DASHBOARD_MONTHLY_ENERGY_ENDPOINT, (data) => parseDashboardMonthlyReadings(data, account.timezone));
+
+	if (watts === null) {
+		report.warn('neither the production info nor the power curve holds current power, Watts shows 0');
+	}
+	if (!daily) {
+		return null;
+	}
+
+	const readings = {
+		...daily,
+		watts: watts,
+		lifetimeKwh: production ? production.lifetimeKwh : null,
+		peakWatts: curve ? curve.peakWatts : null,
+		peakTime: curve ? curve.peakTime : null,
+		...monthly
+	};
+	// The daily list is only used to backfill the Eve history
+	delete readings.daily;
+	return readings;
+}
+
+/**
+ * Check the legacy getPowerInfo endpoint
+ *
+ * @returns {object} Readings, or null
+ */
+const checkLegacy = async (client, account, report) => {
+	report.step(`Legacy getPowerInfo for ECU ${account.ecuId}`);
+
+	const response = await getInverterData(client, true, account.ecuId, account.timezone);
+	if (!response) {
+		report.fail(getFailureReason(client, 'no response'));
+		return null;
+	}
+
+	report.ok(`HTTP ${response.status}`);
+	report.body(response.data);
+	const readings = parseLegacyReadings(response.data, account.timezone);
+	report.parsed(readings);
+	if (!readings) {
+		const code = response.data && response.data.code != null ? ` (code ${response.data.code})` : '';
+		report.fail(`the response holds no power data${code}`);
+	}
+	return readings;
+}
+
+const main = async (argv) => {
+	const args = parseArguments(argv);
+	if (args.flags && args.flags.help) {
+		console.log(USAGE);
+		return 0;
+	}
+	if (args.error || args.command !== 'check') {
+		console.error(args.error || (args.command ? `Unknown command "${args.command}"` : 'No command given'));
+		console.error(`\n${USAGE}`);
+		return EXIT_USAGE;
+	}
+
+	// Configuration warnings and migrations are shown like in the Homebridge log
+	const log = (...messages) => console.log(...messages);
+	log.warn = log;
+	log.error = (...messages) => console.error(...messages);
+
+	let account;
+	try {
+		account = buildAccount(args.config, log);
+	} catch (error) {
+		console.error(`Invalid options: ${error.message}`);
+		return EXIT_USAGE;
+	}
+	if (account.dataSource !== SOURCE_DASHBOARD && account.dataSource !== SOURCE_LEGACY) {
+		console.error(`The ${account.dataSource} data source is not checked by this command`);
+		return EXIT_USAGE;
+	}
+
+	const report = new CheckReport(args.flags.raw === true);
+	console.log(`Today at the site: ${getSiteDay(Date.now(), account.timezone)} (${account.timezone || 'timezone of this computer'})`);
+	const server = args.options.server;
+	const client = createApiClient(account, server ? { dashboard: server, legacy: server } : undefined);
+	const readings = account.dataSource === SOURCE_LEGACY
+		? await checkLegacy(client, account, report)
+		: await checkDashboard(client, account, report);
+
+	report.step('Result');
+	if (readings) {
+		Object.entries(readings)
+			.filter(([key, value]) => !Array.isArray(value))
+			.forEach(([key, value]) => report.info(`${key}: ${value == null ? '-' : formatReading(key, value)}`));
+	} else {
+		report.info('No readings');
+	}
+	if (report.failure) {
+		console.log(`\nCheck failed: ${report.failure}`);
+		return EXIT_FAILED;
+	}
+	if (report.warnings.length > 0) {
+		console.log(`\nReadings received with ${report.warnings.length} warning(s)`);
+	} else {
+		console.log('\nReadings received');
+	}
+	return 0;
+}
+
+main(process.argv.slice(2)).then((code) => {
+	process.exitCode = code;
+}, (error) => {
+	console.error('Check failed:', error.message);
+	process.exitCode = EXIT_FAILED;
+});
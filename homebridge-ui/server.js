@@ -0,0 +1,38 @@
+const { HomebridgePluginUiServer, RequestError } = require('@homebridge/plugin-ui-utils');
+const { testConnection, describeFault } = require('../index.js');
+
+/**
+ * Custom Homebridge UI server: lets the settings page log in and fetch once
+ * with the account being edited, before the configuration is saved
+ */
+class APSystemsUiServer extends HomebridgePluginUiServer {
+	constructor() {
+		super();
+		
+		this.onRequest('/test-connection', this.testConnection.bind(this));
+		this.ready();
+	}
+
+	/**
+	 * @param {account} Account configuration from the settings form
+	 * @returns {object} { ok, readings, fault } with the fault described for display
+	 */
+	async testConnection(account) {
+		let result;
+		try {
+			result = await testConnection(account || {});
+		} catch (error) {
+			// buildAccount rejects incomplete configurations
+			throw new RequestError(error.message, { message: error.message });
+		}
+		
+		if (result.fault) {
+			return { ok: false, readings: null, fault: describeFault(result.fault) };
+		}
+		
+		const { daily, powerCurve, ...readings } = result.readings;
+		return { ok: true, readings: readings, fault: null };
+	}
+}
+
+(() => new APSystemsUiServer())();
@@ -1,169 +1,206 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const { wrapper } = require('axios-cookiejar-support');
 const tough = require('tough-cookie');
+const { ECU_DEFAULT_PORT, getLocalEcuReadings } = require('./lib/ecu-local');
+const { createEveCharacteristics } = require('./lib/eve');
+const { ProductionHistory } = require('./lib/history');
+const { getReadingsCache } = require('./lib/cache');
+const { ThresholdState } = require('./lib/threshold');
+const { startMetricsServer } = require('./lib/metrics');
+const { MqttPublisher } = require('./lib/mqtt');
+const { getSiteDay, addDays, parseSiteDay, rollOverReadings } = require('./lib/site-time');
+const { parseList, buildPowerCurve, integrateEnergy, getPeak } = require('./lib/power-curve');
+const { getPollDelay } = require('./lib/schedule');
+const { getDerivedReadings, formatDerivedValue, describeDerived } = require('./lib/derived');
+const { ConsumptionMeter, getBalance, MEASURES_CONSUMPTION } = require('./lib/consumption');
+const {
+	FAULT_AUTH,
+	FAULT_NETWORK,
+	FAULT_HTML_ERROR,
+	FAULT_SCHEMA,
+	FAULT_DEPRECATED,
+	setFault,
+	getErrorFaultKind,
+	describeFault
+} = require('./lib/faults');
+const {
+	DEF_Watts,
+	DEF_KWH,
+	DEF_PEAK_TIME,
+	DEF_EXPORT_WATTS,
+	DEF_IMPORT_WATTS,
+	DEF_SELF_CONSUMPTION_RATIO,
+	READING_KEYS,
+	POWER_DATA_TYPES,
+	BALANCE_DATA_TYPES,
+	SOURCE_DASHBOARD,
+	SOURCE_LEGACY,
+	SOURCE_OPENAPI,
+	SOURCE_LOCAL,
+	SERVICE_LIGHT_SENSOR,
+	SERVICE_OUTLET,
+	SERVICE_OCCUPANCY,
+	SERVICE_CONTACT,
+	SERVICE_SWITCH,
+	INVERTER_ACCESSORIES_NONE,
+	INVERTER_ACCESSORIES_CHANNEL,
+	DEF_POLL_INTERVAL,
+	MIN_POLL_INTERVAL,
+	DEF_NIGHT_POLL_INTERVAL,
+	DEF_NO_RESPONSE_AFTER,
+	validateAccountConfig,
+	validatePlatformConfig,
+	logValidationResult
+} = require('./lib/config');
+const fakegato = require('fakegato-history');
 
-var Service, Characteristic;
+var Service, Characteristic, EveCharacteristics, FakeGatoHistoryService;
 
 const DEF_MIN_LUX = 0,
       DEF_MAX_LUX = 10000;
 
-const DEF_Watts = "Watts";
-const DEF_KWH = "Kwh";
+// Dashboard login backoff after failed logins (milliseconds)
+const LOGIN_BACKOFF_BASE = 30 * 1000;
+const LOGIN_BACKOFF_MAX = 30 * 60 * 1000;
+
+// The "Exporting" sensor of a consumption meter turns on at this export (W), and off below half of it
+const DEF_EXPORT_THRESHOLD = 50;
+
+// Wait at least this long (seconds) between background refreshes triggered by HomeKit reads
+const MIN_REVALIDATE_INTERVAL = 30;
+// Fault of a poll whose response could not be read, when nothing more specific was recorded
+const NO_READINGS_FAULT = { kind: FAULT_SCHEMA, message: 'response holds no readings' };
 
 // Web Dashboard API endpoints (session-based)
 const DASHBOARD_API_BASE_URL = 'https://www.apsystemsema.com';
 const DASHBOARD_DAILY_ENERGY_ENDPOINT = '/ema/ajax/getDashboardApiAjax/getDashboardUserDailyEnergyInLastWeekAjax';
 const DASHBOARD_MONTHLY_ENERGY_ENDPOINT = '/ema/ajax/getDashboardApiAjax/getDashboardUserMonthlyEnergyInCurrentYearAjax';
+const DASHBOARD_PRODUCTION_INFO_ENDPOINT = '/ema/ajax/getDashboardApiAjax/getDashboardProductionInfoAjax';
+const DASHBOARD_POWER_CURVE_ENDPOINT = '/ema/ajax/getDashboardApiAjax/getDashboardPowerOnCurrentDayAjax';
 const DASHBOARD_LOGIN_ENDPOINT = '/ema/security/login';
+const DASHBOARD_PAGE_ENDPOINT = '/ema/security/optmainmenu/intoLargeDashboard.action';
+const DASHBOARD_DEMO_ENDPOINT = '/ema/intoDemoUser.action';
+
+// OpenAPI v2 (signature-based, requires an OpenAPI app ID and secret)
+const OPENAPI_BASE_URL = 'https://api.apsystemsema.com:9282';
+const OPENAPI_ECU_ENERGY_PATH = '/user/api/v2/systems/{sid}/devices/ecu/energy/{eid}';
+const OPENAPI_SUMMARY_PATH = '/user/api/v2/systems/summary/{sid}';
+const OPENAPI_INVERTER_BATCH_PATH = '/user/api/v2/systems/{sid}/devices/inverter/batch/energy/{eid}';
+const OPENAPI_SIGNATURE_METHOD = 'HmacSHA256';
+
+// OpenAPI v2 response codes (0 = success)
+const OPENAPI_ERROR_CODES = {
+	1000: 'Data exception',
+	1001: 'No data',
+	2000: 'Application account exception',
+	2001: 'Invalid application account',
+	2002: 'The application account is not authorized',
+	2003: 'Application account authorization expires',
+	2004: 'The application account has no permission',
+	2005: 'The access limit of the application account was exceeded',
+	3000: 'Access token exception',
+	3001: 'Missing access token',
+	3002: 'Unable to verify access token',
+	3003: 'Access token timeout',
+	3004: 'Refresh token timeout',
+	4000: 'Request parameter exception',
+	4001: 'Invalid request parameter',
+	5000: 'Internal server exception',
+	6000: 'Communication exception',
+	7000: 'Server access restriction exception',
+	7001: 'Server access limit exceeded',
+	7002: 'Too many requests, please request later',
+	7003: 'The system is busy, please request later'
+};
 
 // Legacy API endpoint (for backward compatibility)
-const LEGACY_API_BASE_URL = 'http://api.apsystemsema.com';
-const LEGACY_API_PORT = 8073;
+const LEGACY_API_BASE_URL = 'http://api.apsystemsema.com:8073';
 const LEGACY_API_PATH = '/apsema/v1/ecu/getPowerInfo';
+// Seconds between the ECU's power samples, for responses without sample times
+const LEGACY_SAMPLE_INTERVAL = 5 * 60;
 
 const PLUGIN_NAME   = 'homebridge-apsystem-inverter';
 const ACCESSORY_NAME = 'APSystemsInverter';
+const PLATFORM_NAME = 'APSystemsInverterPlatform';
 
 module.exports = function(homebridge) {
     Service = homebridge.hap.Service;
     Characteristic = homebridge.hap.Characteristic;
+    EveCharacteristics = createEveCharacteristics(homebridge.hap);
+    FakeGatoHistoryService = fakegato(homebridge);
     
     // Register accessory - class will be defined by the time this function is called
     // (since the entire file executes before Homebridge calls this function)
     homebridge.registerAccessory(PLUGIN_NAME, ACCESSORY_NAME, APSystemsInverter);
+    homebridge.registerPlatform(PLUGIN_NAME, PLATFORM_NAME, APSystemsPlatform, true);
 }
 
 /**
- * Simple in-memory cache for API requests (5 second cache)
- */
-const requestCache = new Map();
-const CACHE_MAX_AGE = 5 * 1000; // 5 seconds
-
-// Create cookie jar for proper cookie handling across requests
-const cookieJar = new tough.CookieJar();
-
-// Create axios instance with cookie jar support for login
-const axiosInstance = wrapper(axios.create({
-	timeout: 30000, // Increased timeout for login redirects
-	jar: cookieJar, // Use cookie jar
-	maxRedirects: 10, // Follow redirects for login
-	headers: {
-		'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/143.0.0.0 Safari/537.36',
-		'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-		'Accept-Language': 'en-US,en;q=0.9',
-		'Accept-Encoding': 'gzip, deflate, br',
-		'Connection': 'keep-alive',
-		'Upgrade-Insecure-Requests': '1'
-	}
-}));
-
-// Separate instance for API calls with different headers (also uses cookie jar)
-const apiAxiosInstance = wrapper(axios.create({
-	timeout: 10000,
-	jar: cookieJar, // Share the same cookie jar
-	headers: {
-		'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/143.0.0.0 Safari/537.36',
-		'Accept': 'application/json, text/javascript, */*; q=0.01',
-		'Accept-Language': 'en-US,en;q=0.9',
-		'X-Requested-With': 'XMLHttpRequest',
-		'Origin': 'https://www.apsystemsema.com',
-		'Referer': 'https://www.apsystemsema.com/ema/security/optmainmenu/intoLargeDashboard.action?locale=en_US'
-	}
-}));
-
-/**
- * Get cache key from request config
- */
-function getCacheKey(config) {
-	const url = config.url || '';
-	const method = (config.method || 'get').toLowerCase();
-	const params = JSON.stringify(config.params || {});
-	const data = config.data ? (typeof config.data === 'string' ? config.data : JSON.stringify(config.data)) : '';
-	return `${method}:${url}:${params}:${data}`;
-}
-
-/**
- * Clean up old cache entries
+ * Create the HTTP clients for one account
+ * Every account gets its own cookie jar, so sessions of different
+ * accounts never overwrite each other
+ *
+ * @param {auth} Dashboard login settings: { username, password } or { demoLoginUrl, demoUserId }
+ * @param {baseUrls} Optional { dashboard, legacy, openApi } server URLs, for testing against a local server
+ * @returns {object} { cookieJar, axiosInstance, apiAxiosInstance, apiInstance, session, dashboardBaseUrl, legacyBaseUrl, openApiBaseUrl }
  */
-function cleanupCache() {
-	const now = Date.now();
-	for (const [key, value] of requestCache.entries()) {
-		if (now - value.timestamp > CACHE_MAX_AGE * 2) {
-			requestCache.delete(key);
+const createApiClient = (auth, baseUrls) => {
+	const dashboardBaseUrl = (baseUrls && baseUrls.dashboard) || DASHBOARD_API_BASE_URL;
+	const legacyBaseUrl = (baseUrls && baseUrls.legacy) || LEGACY_API_BASE_URL;
+	const openApiBaseUrl = (baseUrls && baseUrls.openApi) || OPENAPI_BASE_URL;
+	
+	// Create cookie jar for proper cookie handling across requests
+	const cookieJar = new tough.CookieJar();
+	
+	// Create axios instance with cookie jar support for login
+	const axiosInstance = wrapper(axios.create({
+		timeout: 30000, // Increased timeout for login redirects
+		jar: cookieJar, // Use cookie jar
+		maxRedirects: 10, // Follow redirects for login
+		headers: {
+			'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/143.0.0.0 Safari/537.36',
+			'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+			'Accept-Language': 'en-US,en;q=0.9',
+			'Accept-Encoding': 'gzip, deflate, br',
+			'Connection': 'keep-alive',
+			'Upgrade-Insecure-Requests': '1'
 		}
-	}
-}
-
-/**
- * Cached axios request wrapper
- */
-async function cachedRequest(config) {
-	// Only cache GET requests
-	if (config.method && config.method.toLowerCase() === 'get') {
-		const cacheKey = getCacheKey(config);
-		const cached = requestCache.get(cacheKey);
-		
-		if (cached && (Date.now() - cached.timestamp) < CACHE_MAX_AGE) {
-			// Return cached response
-			return {
-				data: cached.data,
-				status: cached.status,
-				headers: cached.headers,
-				config: config,
-				__fromCache: true
-			};
+	}));
+	
+	// Separate instance for API calls with different headers (also uses cookie jar)
+	const apiAxiosInstance = wrapper(axios.create({
+		timeout: 10000,
+		jar: cookieJar, // Share the same cookie jar
+		headers: {
+			'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/143.0.0.0 Safari/537.36',
+			'Accept': 'application/json, text/javascript, */*; q=0.01',
+			'Accept-Language': 'en-US,en;q=0.9',
+			'X-Requested-With': 'XMLHttpRequest',
+			'Origin': dashboardBaseUrl,
+			'Referer': `${dashboardBaseUrl}${DASHBOARD_PAGE_ENDPOINT}?locale=en_US`
 		}
-		
-		// Make the request
-		try {
-			const response = await axiosInstance(config);
-			
-			// Cache successful responses
-			if (response.status >= 200 && response.status < 300) {
-				requestCache.set(cacheKey, {
-					data: response.data,
-					status: response.status,
-					headers: response.headers,
-					timestamp: Date.now()
-				});
-				
-				// Clean up old entries periodically
-				cleanupCache();
-			}
-			
-			return response;
-		} catch (error) {
-			// If request failed but we have cached data, return it
-			if (cached) {
-				return {
-					data: cached.data,
-					status: cached.status,
-					headers: cached.headers,
-					config: config,
-					__fromCache: true
-				};
-			}
-			throw error;
+	}));
+	
+	const client = {
+		dashboardBaseUrl,
+		legacyBaseUrl,
+		openApiBaseUrl,
+		cookieJar,
+		axiosInstance,
+		apiAxiosInstance,
+		apiInstance: {
+			request: (config) => axiosInstance(config),
+			get: (url, config) => axiosInstance({ ...config, method: 'get', url }),
+			post: (url, data, config) => axiosInstance({ ...config, method: 'post', url, data }),
+			put: (url, data, config) => axiosInstance({ ...config, method: 'put', url, data }),
+			delete: (url, config) => axiosInstance({ ...config, method: 'delete', url })
 		}
-	}
+	};
+	client.session = new DashboardSession(client, auth);
 	
-	// For non-GET requests, just make the request normally
-	return axiosInstance(config);
-}
-
-// Create API wrapper with caching
-const apiInstance = {
-	request: cachedRequest,
-	get: (url, config) => cachedRequest({ ...config, method: 'get', url }),
-	post: (url, data, config) => axiosInstance({ ...config, method: 'post', url, data }),
-	put: (url, data, config) => axiosInstance({ ...config, method: 'put', url, data }),
-	delete: (url, config) => axiosInstance({ ...config, method: 'delete', url })
-};
-
-function zformat_number2(n)
-{
-	return n > 9 ? ""+n:"0"+n;
+	return client;
 }
 
 /**
@@ -200,87 +237,165 @@ function formatCookies(cookies) {
  * Build demo login URL from user ID
  * 
  * @param {demoUserId} Demo user ID
+ * @param {baseUrl} Dashboard server URL
  * @returns {string} Demo login URL
  */
-const buildDemoLoginUrl = (demoUserId) => {
-	return `https://www.apsystemsema.com/ema/intoDemoUser.action?id=${demoUserId}&local=en_US`;
+const buildDemoLoginUrl = (demoUserId, baseUrl = DASHBOARD_API_BASE_URL) => {
+	return `${baseUrl}${DASHBOARD_DEMO_ENDPOINT}?id=${demoUserId}&local=en_US`;
 };
 
 /**
  * Login to demo user and get session cookies
  * Cookie jar automatically handles cookies across redirects
  * 
+ * @param {client} Account HTTP client from createApiClient
  * @param {demoUrl} Demo login URL
  * @param {demoUserId} Demo user ID, used if demoUrl is not provided
  * @returns {object} Cookies object
  */
-const getDemoSessionCookies = async(demoUrl, demoUserId) => {
+const getDemoSessionCookies = async(client, demoUrl, demoUserId) => {
 	try {
 		let url = demoUrl;
 		if (!url) {
 			if (!demoUserId) {
 				throw new Error('demoUserId is required');
 			}
-			url = buildDemoLoginUrl(demoUserId);
+			url = buildDemoLoginUrl(demoUserId, client.dashboardBaseUrl);
 		}
 		
+		const { cookieJar, axiosInstance } = client;
+		
 		// Clear cookie jar first
 		cookieJar.removeAllCookies();
 		
 		// Make request to demo login URL - cookie jar will automatically handle cookies
-		const response = await axiosInstance.get(url, {
+		await axiosInstance.get(url, {
 			maxRedirects: 10, // Allow multiple redirects
 			validateStatus: function (status) {
 				return status >= 200 && status < 400; // Follow redirects
 			}
 		});
 		
-		// After login, visit the dashboard page to fully establish session
-		// This ensures all necessary cookies are set (cookie jar handles this automatically)
-		try {
-			const dashboardUrl = 'https://www.apsystemsema.com/ema/security/optmainmenu/intoLargeDashboard.action?locale=en_US';
-			
-			await axiosInstance.get(dashboardUrl, {
-				maxRedirects: 5,
-				validateStatus: function (status) {
-					return status >= 200 && status < 400;
-				}
-			});
-		} catch (dashboardError) {
-			// Dashboard visit failed, but we still have cookies from login
-			console.error('Warning: Failed to visit dashboard after login:', dashboardError.message);
+		return await collectSessionCookies(client);
+	} catch (error) {
+		console.error('Error getting demo session cookies:', error.message);
+		if (error.response) {
+			console.error('Status:', error.response.status);
+			console.error('Response URL:', error.response.request?.res?.responseUrl || error.config?.url);
+		}
+		setFault(client, getErrorFaultKind(error), `demo login failed: ${error.message}`);
+		return {};
+	}
+}
+
+/**
+ * @param {data} Response body
+ * @returns {boolean} Whether the body is the EMA login form
+ */
+const isLoginPage = (data) => typeof data === 'string' && /<input[^>]+type=["']?password/i.test(data);
+
+/**
+ * Login to a full EMA account with username and password and get session cookies
+ * The password is only sent in the form body and never logged
+ * 
+ * @param {client} Account HTTP client from createApiClient
+ * @param {username} EMA account username
+ * @param {password} EMA account password
+ * @returns {object} Cookies object (empty if the login was rejected)
+ */
+const getAccountSessionCookies = async(client, username, password) => {
+	try {
+		if (!username || !password) {
+			throw new Error('username and password are required');
 		}
 		
-		// Extract all cookies from the cookie jar
-		const allCookies = {};
-		const cookies = await cookieJar.getCookies('https://www.apsystemsema.com');
-		cookies.forEach(cookie => {
-			allCookies[cookie.key] = cookie.value;
+		const { cookieJar, axiosInstance, dashboardBaseUrl } = client;
+		
+		// Clear cookie jar first
+		cookieJar.removeAllCookies();
+		
+		const form = new URLSearchParams({ username, password }).toString();
+		const response = await axiosInstance.post(`${dashboardBaseUrl}${DASHBOARD_LOGIN_ENDPOINT}`, form, {
+			headers: {
+				'Content-Type': 'application/x-www-form-urlencoded',
+				'Origin': dashboardBaseUrl,
+				'Referer': `${dashboardBaseUrl}${DASHBOARD_LOGIN_ENDPOINT}`
+			},
+			maxRedirects: 10,
+			validateStatus: function (status) {
+				return status >= 200 && status < 400;
+			}
 		});
 		
-		return allCookies;
+		// A rejected login is answered with the login form again, directly or
+		// after a redirect; a successful one may stay on the login URL
+		if (isLoginPage(response.data)) {
+			console.error(`EMA login rejected for user "${username}" - check username and password`);
+			setFault(client, FAULT_AUTH, `login rejected for user "${username}"`);
+			return {};
+		}
+		
+		return await collectSessionCookies(client);
 	} catch (error) {
-		console.error('Error getting demo session cookies:', error.message);
+		console.error(`Error logging in EMA user "${username}":`, error.message);
 		if (error.response) {
 			console.error('Status:', error.response.status);
 			console.error('Response URL:', error.response.request?.res?.responseUrl || error.config?.url);
 		}
+		setFault(client, getErrorFaultKind(error), `login failed: ${error.message}`);
 		return {};
 	}
 }
 
+/**
+ * Finish a login by visiting the dashboard and return the session cookies
+ * 
+ * @param {client} Account HTTP client from createApiClient
+ * @returns {object} Cookies object
+ */
+const collectSessionCookies = async(client) => {
+	const { cookieJar, axiosInstance, dashboardBaseUrl } = client;
+	
+	// After login, visit the dashboard page to fully establish session
+	// This ensures all necessary cookies are set (cookie jar handles this automatically)
+	try {
+		const dashboardUrl = `${dashboardBaseUrl}${DASHBOARD_PAGE_ENDPOINT}?locale=en_US`;
+		
+		await axiosInstance.get(dashboardUrl, {
+			maxRedirects: 5,
+			validateStatus: function (status) {
+				return status >= 200 && status < 400;
+			}
+		});
+	} catch (dashboardError) {
+		// Dashboard visit failed, but we still have cookies from login
+		console.error('Warning: Failed to visit dashboard after login:', dashboardError.message);
+	}
+	
+	// Extract all cookies from the cookie jar
+	const allCookies = {};
+	const cookies = await cookieJar.getCookies(dashboardBaseUrl);
+	cookies.forEach(cookie => {
+		allCookies[cookie.key] = cookie.value;
+	});
+	
+	return allCookies;
+}
+
 /**
  * Get dashboard data using session cookies
  * If cookies are provided, set them in the cookie jar first
  * Otherwise, use cookies already in the jar (from auto-login)
  * 
+ * @param {client} Account HTTP client from createApiClient
  * @param {cookies} Session cookies object (optional - will use jar if not provided)
  * @param {endpoint} API endpoint to call
- * @returns {object} Response data
+ * @returns {object} Response data, or { sessionExpired: true } if the session is no longer valid
  */
-const getDashboardData = async(cookies, endpoint) => {
+const getDashboardData = async(client, cookies, endpoint) => {
 	try {
-		const url = `${DASHBOARD_API_BASE_URL}${endpoint}`;
+		const { cookieJar, apiAxiosInstance, dashboardBaseUrl } = client;
+		const url = `${dashboardBaseUrl}${endpoint}`;
 		
 		// If cookies are provided, set them in the cookie jar
 		if (cookies && Object.keys(cookies).length > 0) {
@@ -290,10 +405,10 @@ const getDashboardData = async(cookies, endpoint) => {
 				const cookie = new tough.Cookie({
 					key: key,
 					value: value,
-					domain: 'www.apsystemsema.com',
+					domain: new URL(dashboardBaseUrl).hostname,
 					path: '/'
 				});
-				await cookieJar.setCookie(cookie, 'https://www.apsystemsema.com');
+				await cookieJar.setCookie(cookie, dashboardBaseUrl);
 			}
 		}
 		
@@ -301,7 +416,7 @@ const getDashboardData = async(cookies, endpoint) => {
 		const response = await apiAxiosInstance.post(url, '', {
 		headers: {
 			'Content-Length': '0',
-			'Referer': 'https://www.apsystemsema.com/ema/security/optmainmenu/intoLargeDashboard.action',
+			'Referer': `${dashboardBaseUrl}${DASHBOARD_PAGE_ENDPOINT}`,
 			'Accept': 'application/json, text/javascript, */*; q=0.01',
 			'Accept-Language': 'en-US,en;q=0.9'
 		},
@@ -310,12 +425,21 @@ const getDashboardData = async(cookies, endpoint) => {
 			}
 		});
 		
+		// An expired session is answered with the login page or an auth error
+		const responseUrl = response.request?.res?.responseUrl || '';
+		if (response.status === 401 || response.status === 403 || responseUrl.includes(DASHBOARD_LOGIN_ENDPOINT)) {
+			console.error('API redirected to login - session has expired');
+			setFault(client, FAULT_AUTH, 'dashboard session has expired');
+			return { sessionExpired: true };
+		}
+		
 		// Check if response is HTML error page
 		if (typeof response.data === 'string') {
 			if (response.data.includes('<!DOCTYPE') || response.data.includes('EMA has encountered an error')) {
 				// Response is HTML, likely an error page
 				console.error('API returned HTML error page - session may be invalid');
-				return null;
+				setFault(client, FAULT_HTML_ERROR, endpoint);
+				return { sessionExpired: true };
 			}
 			// Try to parse as JSON if it's a string
 			try {
@@ -323,6 +447,7 @@ const getDashboardData = async(cookies, endpoint) => {
 			} catch (e) {
 				// Not valid JSON
 				console.error('Response is not valid JSON');
+				setFault(client, FAULT_SCHEMA, `${endpoint} did not return JSON`);
 				return null;
 			}
 		}
@@ -339,33 +464,130 @@ const getDashboardData = async(cookies, endpoint) => {
 				console.error('Data:', error.response.data);
 			}
 		}
+		setFault(client, getErrorFaultKind(error), error.message);
 		return null;
 	}
 }
 
+/**
+ * Keeps a dashboard session alive across polls
+ * Logs in only when there is no session yet or the current one has expired,
+ * and backs off exponentially after failed logins to avoid login storms
+ */
+class DashboardSession {
+	constructor(client, auth) {
+		this.client = client;
+		this.auth = auth || {};
+		this.loggedIn = false;
+		this.loginFailures = 0;
+		this.nextLoginAt = 0;
+		this.pendingLogin = null;
+		// Why the last login failed, repeated while backing off
+		this.loginFault = null;
+	}
+
+	/**
+	 * Whether the session has anything to log in with
+	 */
+	hasCredentials() {
+		const { username, password, demoLoginUrl, demoUserId } = this.auth;
+		return Boolean((username && password) || demoLoginUrl || demoUserId);
+	}
+
+	/**
+	 * Log in unless a login is already running or we are backing off
+	 *
+	 * @returns {boolean} Whether a session is available
+	 */
+	login() {
+		if (!this.pendingLogin) {
+			this.pendingLogin = this.performLogin().finally(() => {
+				this.pendingLogin = null;
+			});
+		}
+		return this.pendingLogin;
+	}
+
+	async performLogin() {
+		const now = Date.now();
+		if (now < this.nextLoginAt) {
+			const wait = Math.ceil((this.nextLoginAt - now) / 1000);
+			console.error(`Skipping dashboard login after ${this.loginFailures} failure(s), next attempt in ${wait}s`);
+			setFault(this.client, this.loginFault.kind, `${this.loginFault.message}, next login attempt in ${wait}s`);
+			return false;
+		}
+		
+		const { username, password, demoLoginUrl, demoUserId } = this.auth;
+		const sessionCookies = username
+			? await getAccountSessionCookies(this.client, username, password)
+			: await getDemoSessionCookies(this.client, demoLoginUrl, demoUserId);
+		
+		if (Object.keys(sessionCookies).length === 0) {
+			this.loginFailures++;
+			const delay = Math.min(LOGIN_BACKOFF_BASE * Math.pow(2, this.loginFailures - 1), LOGIN_BACKOFF_MAX);
+			this.nextLoginAt = Date.now() + delay;
+			console.error(`Failed to get session cookies from ${username ? 'account' : 'demo'} login`);
+			if (!this.client.fault) {
+				setFault(this.client, FAULT_AUTH, `no session cookies from ${username ? 'account' : 'demo'} login`);
+			}
+			this.loginFault = this.client.fault;
+			return false;
+		}
+		
+		this.loggedIn = true;
+		this.loginFailures = 0;
+		this.nextLoginAt = 0;
+		this.loginFault = null;
+		return true;
+	}
+
+	/**
+	 * Call a dashboard endpoint, logging in again once if the session expired
+	 *
+	 * @param {endpoint} API endpoint to call
+	 * @returns {object} Response data, or null if no valid session could be obtained
+	 */
+	async request(endpoint) {
+		if (!this.loggedIn && !(await this.login())) {
+			return null;
+		}
+		
+		let response = await getDashboardData(this.client, null, endpoint);
+		
+		if (response && response.sessionExpired) {
+			this.loggedIn = false;
+			if (!(await this.login())) {
+				return null;
+			}
+			response = await getDashboardData(this.client, null, endpoint);
+		}
+		
+		if (!response || response.sessionExpired) {
+			return null;
+		}
+		return response;
+	}
+}
+
 /**
  * Main API request - uses web dashboard API
  *
+ * @param {client} Account HTTP client from createApiClient
  * @param {useLegacyApi} Whether to use legacy API instead
  * @param {ecuId} ECU ID for legacy API
- * @param {demoLoginUrl} Demo login URL
- * @param {demoUserId} Demo user ID (used if demoLoginUrl is not provided)
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
  */
-const getInverterData = async(useLegacyApi, ecuId, demoLoginUrl, demoUserId) => {
+const getInverterData = async(client, useLegacyApi, ecuId, timezone) => {
 	try {
 		if (useLegacyApi) {
-			// Legacy API - POST request with form data
-			let current_datetime = new Date();
-			let day = zformat_number2(current_datetime.getDate());
-			let month = zformat_number2(current_datetime.getMonth() + 1);
-			let year = current_datetime.getFullYear();
-			let formatted_date_legacy = "" + year + month + day;
+			// Legacy API - POST request with form data, for today at the site (yyyyMMdd)
+			const formatted_date_legacy = getSiteDay(Date.now(), timezone).replace(/-/g, '');
 			
-			const url = `${LEGACY_API_BASE_URL}:${LEGACY_API_PORT}${LEGACY_API_PATH}`;
+			const url = `${client.legacyBaseUrl}${LEGACY_API_PATH}`;
 			const params = `filter=power&ecuId=${ecuId}&date=${formatted_date_legacy}`;
 			
 			try {
-				const response = await apiInstance.post(url, params, {
+				const response = await client.apiInstance.post(url, params, {
 					headers: {
 						'Content-Type': 'application/x-www-form-urlencoded'
 					},
@@ -378,6 +600,7 @@ const getInverterData = async(useLegacyApi, ecuId, demoLoginUrl, demoUserId) =>
 				if (response.status === 404) {
 					console.error('Legacy API endpoint returned 404 - the endpoint may be deprecated.');
 					console.error('Please remove "useLegacyApi: true" from your config and use "demoUserId" instead.');
+					setFault(client, FAULT_DEPRECATED, `${url} returned 404`);
 					return null;
 				}
 				
@@ -386,26 +609,22 @@ const getInverterData = async(useLegacyApi, ecuId, demoLoginUrl, demoUserId) =>
 				if (error.response && error.response.status === 404) {
 					console.error('Legacy API endpoint returned 404 - the endpoint may be deprecated.');
 					console.error('Please remove "useLegacyApi: true" from your config and use "demoUserId" instead.');
+					setFault(client, FAULT_DEPRECATED, `${url} returned 404`);
+					return null;
 				}
 				throw error;
 			}
 		}
 		
-		// Web Dashboard API - auto-login to demo user to get fresh cookies
-		if (!demoLoginUrl && !demoUserId) {
-			console.error('demoUserId or demoLoginUrl is required');
-			return null;
-		}
-		
-		const sessionCookies = await getDemoSessionCookies(demoLoginUrl, demoUserId);
-		
-		if (Object.keys(sessionCookies).length === 0) {
-			console.error('Failed to get session cookies from demo login');
+		// Web Dashboard API - reuse the session, logging in only when needed
+		if (!client.session.hasCredentials()) {
+			console.error('username/password, demoUserId or demoLoginUrl is required');
+			setFault(client, FAULT_AUTH, 'no dashboard login configured');
 			return null;
 		}
 		
 		// Get daily energy data (last week, includes today)
-		const dailyResponse = await getDashboardData(sessionCookies, DASHBOARD_DAILY_ENERGY_ENDPOINT);
+		const dailyResponse = await client.session.request(DASHBOARD_DAILY_ENERGY_ENDPOINT);
 		
 		if (!dailyResponse || !dailyResponse.data) {
 			return null;
@@ -422,193 +641,1751 @@ const getInverterData = async(useLegacyApi, ecuId, demoLoginUrl, demoUserId) =>
 		} else {
 			console.error('API Error:', error.message);
 		}
+		setFault(client, getErrorFaultKind(error), error.message);
 		return null;
 	}
 }
 
 /**
- * Gets and returns the accessory's value from dashboard API
+ * Build the signature headers for an OpenAPI v2 request
+ * The string to sign is timestamp/nonce/appId/requestPath/method/signatureMethod,
+ * where requestPath is the last segment of the URL path
  *
- * @param {inverterDataValue} the JSON key queried with the return value ("Watts" or "Kwh")
- * @param {useLegacyApi} Whether to use legacy API
- * @param {ecuId} ECU ID for legacy API
- * @param {demoLoginUrl} Demo login URL
- * @param {demoUserId} Demo user ID (used if demoLoginUrl is not provided)
- * @return {number} the value for the accessory
+ * @param {appId} OpenAPI application ID
+ * @param {appSecret} OpenAPI application secret
+ * @param {method} HTTP method
+ * @param {path} Request path
+ * @param {timestamp} Epoch milliseconds as a string, now by default
+ * @param {nonce} Random hex string, a new one by default
+ * @returns {object} Request headers
  */
-const getAccessoryValue = async (inverterDataValue, useLegacyApi, ecuId, demoLoginUrl, demoUserId) => {
-	if (useLegacyApi) {
-		// Use legacy API
-		const inverterData = await getInverterData(true, ecuId, null, null);
+const signOpenApiRequest = (appId, appSecret, method, path, timestamp = Date.now().toString(), nonce = crypto.randomBytes(16).toString('hex')) => {
+	const requestPath = path.split('/').filter(Boolean).pop();
+	const stringToSign = [timestamp, nonce, appId, requestPath, method.toUpperCase(), OPENAPI_SIGNATURE_METHOD].join('/');
+	const signature = crypto.createHmac('sha256', appSecret).update(stringToSign).digest('base64');
+	
+	return {
+		'X-CA-AppId': appId,
+		'X-CA-Timestamp': timestamp,
+		'X-CA-Nonce': nonce,
+		'X-CA-Signature-Method': OPENAPI_SIGNATURE_METHOD,
+		'X-CA-Signature': signature
+	};
+}
+
+/**
+ * Send a signed GET request to the OpenAPI v2
+ *
+ * @param {client} Account HTTP client from createApiClient
+ * @param {appId} OpenAPI application ID
+ * @param {appSecret} OpenAPI application secret (only used to sign, never sent or logged)
+ * @param {path} Request path
+ * @param {params} Query parameters
+ * @returns {object} Response, or null on failure
+ */
+const sendOpenApiRequest = async(client, appId, appSecret, path, params) => {
+	try {
+		const response = await client.apiInstance.get(`${client.openApiBaseUrl}${path}`, {
+			params: params,
+			headers: {
+				'Accept': 'application/json',
+				...signOpenApiRequest(appId, appSecret, 'GET', path)
+			},
+			validateStatus: function (status) {
+				return status >= 200 && status < 500;
+			}
+		});
 		
-		if (!inverterData || !inverterData.data) {
-			return 0;
+		if (response.status !== 200) {
+			console.error('OpenAPI request failed with status', response.status);
+			setFault(client, getErrorFaultKind({ response }), `${path} returned status ${response.status}`);
+			return null;
 		}
-
-		let responseData = inverterData.data;
 		
-		if (responseData.code != null && responseData.code != 1) {
-			return 0;
+		return response;
+	} catch (error) {
+		console.error('OpenAPI Error:', error.message);
+		if (error.response) {
+			console.error('Status:', error.response.status);
 		}
+		setFault(client, getErrorFaultKind(error), error.message);
+		return null;
+	}
+}
 
-		try {
-			let value = 0;
-			let powerData;
-			
-			if (responseData.data) {
-				if (typeof responseData.data.power === 'string') {
-					powerData = JSON.parse(responseData.data.power);
-				} else {
-					powerData = responseData.data.power;
-				}
-			} else {
-				return 0;
-			}
+/**
+ * Get today's ECU energy from the OpenAPI v2
+ *
+ * @param {client} Account HTTP client from createApiClient
+ * @param {appId} OpenAPI application ID
+ * @param {appSecret} OpenAPI application secret
+ * @param {sid} System ID
+ * @param {eid} ECU ID
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @returns {object} Response, or null on failure
+ */
+const getOpenApiData = async(client, appId, appSecret, sid, eid, timezone) => {
+	const path = OPENAPI_ECU_ENERGY_PATH
+		.replace('{sid}', encodeURIComponent(sid))
+		.replace('{eid}', encodeURIComponent(eid));
+	
+	return sendOpenApiRequest(client, appId, appSecret, path, {
+		energy_level: 'minutely',
+		date_range: formatOpenApiDate(timezone)
+	});
+}
 
-			if (!powerData || !Array.isArray(powerData) || powerData.length === 0) {
-				return 0;
-			}
+/**
+ * Get today's power of every inverter channel under an ECU from the OpenAPI v2
+ *
+ * @param {client} Account HTTP client from createApiClient
+ * @param {appId} OpenAPI application ID
+ * @param {appSecret} OpenAPI application secret
+ * @param {sid} System ID
+ * @param {eid} ECU ID
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @returns {object} Response, or null on failure
+ */
+const getOpenApiInverterData = async(client, appId, appSecret, sid, eid, timezone) => {
+	const path = OPENAPI_INVERTER_BATCH_PATH
+		.replace('{sid}', encodeURIComponent(sid))
+		.replace('{eid}', encodeURIComponent(eid));
+	
+	return sendOpenApiRequest(client, appId, appSecret, path, {
+		energy_level: 'power',
+		date_range: formatOpenApiDate(timezone)
+	});
+}
 
-			if (inverterDataValue == DEF_Watts) {
-				value = parseInt(powerData[powerData.length - 1]) || 0;
-			} else {
-				let kw_total = 0;
-				for (let i = 0; i < powerData.length; i++) {
-					let kw = parseInt(powerData[i]) || 0;
-					kw_total = kw_total + ((kw * 0.08345) / 1000);
-				}
-				value = parseFloat(kw_total.toFixed(2));
-			}
-			
-			return value;
-		} catch (error) {
-			console.error('Error parsing legacy inverter data:', error.message);
-			return 0;
-		}
+/**
+ * Format today's date at the site as the OpenAPI expects it (yyyy-MM-dd)
+ *
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ */
+function formatOpenApiDate(timezone) {
+	return getSiteDay(Date.now(), timezone);
+}
+
+/**
+ * Get the system energy summary (today, month, year, lifetime) from the OpenAPI v2
+ *
+ * @param {client} Account HTTP client from createApiClient
+ * @param {appId} OpenAPI application ID
+ * @param {appSecret} OpenAPI application secret
+ * @param {sid} System ID
+ * @returns {object} Response, or null on failure
+ */
+const getOpenApiSummary = async(client, appId, appSecret, sid) => {
+	const path = OPENAPI_SUMMARY_PATH.replace('{sid}', encodeURIComponent(sid));
+	return sendOpenApiRequest(client, appId, appSecret, path);
+}
+
+/**
+ * Record why an OpenAPI response held no readings
+ * Codes 2xxx and 3xxx are application account and token errors, 5xxx and up
+ * are server side, anything else means the response was not what we expected
+ *
+ * @param {client} Account HTTP client from createApiClient
+ * @param {responseData} OpenAPI response body
+ */
+const setOpenApiFault = (client, responseData) => {
+	const code = responseData ? parseInt(responseData.code) : NaN;
+	if (isNaN(code) || code === 0) {
+		setFault(client, FAULT_SCHEMA, 'OpenAPI response holds no energy data');
+		return;
 	}
 	
-	// Use web dashboard API - auto-login to demo user
-	if (!demoLoginUrl && !demoUserId) {
-		console.error('demoUserId or demoLoginUrl is required');
-		return 0;
+	const message = `OpenAPI code ${code}: ${OPENAPI_ERROR_CODES[code] || 'Unknown error'}`;
+	if (code >= 2000 && code < 4000) {
+		setFault(client, FAULT_AUTH, message);
+	} else if (code >= 5000) {
+		setFault(client, FAULT_NETWORK, message);
+	} else {
+		setFault(client, FAULT_SCHEMA, message);
+	}
+}
+
+/**
+ * Parse an OpenAPI v2 minutely ECU energy response body into readings
+ * Data: { "time": ["HH:mm"...], "power": ["W"...], "energy": ["kWh"...], "today": "kWh" }
+ *
+ * @param {responseData} OpenAPI response body
+ * @return {object} { watts, kwh } or null if the response holds no energy data
+ */
+const parseOpenApiReadings = (responseData) => {
+	if (!responseData) {
+		return null;
 	}
 	
-	const sessionCookies = await getDemoSessionCookies(demoLoginUrl, demoUserId);
+	if (responseData.code != 0) {
+		console.error(`OpenAPI returned code ${responseData.code}:`, OPENAPI_ERROR_CODES[responseData.code] || 'Unknown error');
+		return null;
+	}
 	
-	if (Object.keys(sessionCookies).length === 0) {
-		console.error('Failed to get session cookies from demo login');
-		return 0;
+	const data = responseData.data;
+	if (!data || typeof data !== 'object') {
+		return null;
 	}
 	
-	const dailyResponse = await getDashboardData(sessionCookies, DASHBOARD_DAILY_ENERGY_ENDPOINT);
+	const power = Array.isArray(data.power) ? data.power : [];
+	const energy = Array.isArray(data.energy) ? data.energy : [];
+	if (power.length === 0 && data.today == null) {
+		return null;
+	}
 	
-	if (!dailyResponse || !dailyResponse.data) {
-		return 0;
+	let kwh;
+	if (data.today != null) {
+		kwh = parseFloat(data.today) || 0;
+	} else {
+		kwh = energy.reduce((total, value) => total + (parseFloat(value) || 0), 0);
 	}
+	
+	return {
+		watts: parseInt(power[power.length - 1]) || 0,
+		kwh: parseFloat(kwh.toFixed(2))
+	};
+}
 
-	// Response should already be parsed JSON by getDashboardData, but double-check
-	if (typeof dailyResponse.data === 'string') {
-		try {
-			dailyResponse.data = JSON.parse(dailyResponse.data);
-		} catch (e) {
-			console.error('Response is not valid JSON');
-			return 0;
+/**
+ * Parse an OpenAPI v2 system summary response body into energy totals
+ * Data: { "today": "kWh", "month": "kWh", "year": "kWh", "lifetime": "kWh" }
+ *
+ * @param {responseData} OpenAPI response body
+ * @return {object} { monthKwh, yearKwh, lifetimeKwh } or null if the response holds no summary
+ */
+const parseOpenApiSummary = (responseData) => {
+	if (!responseData || responseData.code != 0 || !responseData.data) {
+		if (responseData && responseData.code != 0) {
+			console.error(`OpenAPI returned code ${responseData.code}:`, OPENAPI_ERROR_CODES[responseData.code] || 'Unknown error');
 		}
+		return null;
 	}
+	
+	const { month, year, lifetime } = responseData.data;
+	return {
+		monthKwh: parseEnergyValue(month),
+		yearKwh: parseEnergyValue(year),
+		lifetimeKwh: parseEnergyValue(lifetime)
+	};
+}
 
-	try {
-		let value = 0;
-		const data = dailyResponse.data;
-		
-		// Parse the dashboard response format:
-		// Daily: { "date": [timestamps...], "list": ["kWh values..."] }
-		// Monthly: { "list": [values...] }
-		// The last value in "list" is today's daily energy total (for daily endpoint)
-		
-		if (data && typeof data === 'object') {
-			let energyList = [];
-			
-			// Check for the actual API response format
-			if (data.list && Array.isArray(data.list)) {
-				energyList = data.list;
-			} else if (Array.isArray(data)) {
-				// Fallback: if data is directly an array
-				energyList = data;
-			} else if (data.data && Array.isArray(data.data)) {
-				// Another possible format
-				energyList = data.data;
-			}
-			
-			if (energyList.length > 0) {
-				// Filter out null values and get the last valid value (today's energy)
-				const validValues = energyList.filter(v => v !== null && v !== undefined && v !== '');
-				if (validValues.length > 0) {
-					const todayEnergy = parseFloat(validValues[validValues.length - 1]) || 0;
-					
-					if (inverterDataValue == DEF_Watts) {
-						// For current watts, estimate from daily total
-						// Since we only have daily totals, we approximate:
-						// Average power = daily energy (kWh) / 24 hours * 1000 (to get watts)
-						// This is a rough approximation - actual current power could vary
-						value = Math.round((todayEnergy / 24) * 1000);
-					} else {
-						// For daily kWh total - return today's value
-						value = parseFloat(todayEnergy.toFixed(2));
-					}
-				}
-			}
+/**
+ * Parse an OpenAPI v2 inverter batch power response body into per-inverter readings
+ * Data: { "time": [...], "power": { "<uid>-<channel>": ["W"...] } }
+ *
+ * @param {responseData} OpenAPI response body
+ * @return {array} [{ uid, online, power: [W per channel] }] or null if the response holds no inverters
+ */
+const parseOpenApiInverters = (responseData) => {
+	if (!responseData || responseData.code != 0 || !responseData.data || typeof responseData.data.power !== 'object') {
+		if (responseData && responseData.code != 0) {
+			console.error(`OpenAPI returned code ${responseData.code}:`, OPENAPI_ERROR_CODES[responseData.code] || 'Unknown error');
 		}
+		return null;
+	}
+	
+	const inverters = new Map();
+	Object.entries(responseData.data.power).forEach(([key, values]) => {
+		const separator = key.lastIndexOf('-');
+		const uid = separator > 0 ? key.slice(0, separator) : key;
+		const channel = separator > 0 ? parseInt(key.slice(separator + 1)) || 1 : 1;
+		const latest = Array.isArray(values) && values.length > 0 ? parseInt(values[values.length - 1]) || 0 : 0;
 		
-		return value || 0;
-	} catch (error) {
-		console.error('Error parsing dashboard data:', error.message);
-		console.error('Response data:', JSON.stringify(dailyResponse.data, null, 2));
-		return 0;
+		if (!inverters.has(uid)) {
+			inverters.set(uid, { uid, online: true, power: [] });
+		}
+		inverters.get(uid).power[channel - 1] = latest;
+	});
+	
+	// Channels missing from the response report 0
+	return [...inverters.values()].map(inverter => ({
+		...inverter,
+		power: Array.from(inverter.power, power => power || 0)
+	}));
+}
+
+/**
+ * Parse a day from an API date list
+ *
+ * @param {value} Epoch seconds or milliseconds, "yyyy-MM-dd", "yyyyMMdd" or any Date-parsable string
+ * @param {timezone} IANA timezone of the site, used to place timestamps on a day
+ * @return {number} Epoch milliseconds at the start of that day on the host (for the Eve history), or null if unparsable
+ */
+const parseDayTimestamp = (value, timezone) => {
+	const day = parseSiteDay(value, timezone);
+	if (!day) {
+		return null;
 	}
+	const [year, month, date] = day.split('-').map(Number);
+	return new Date(year, month - 1, date).getTime();
 }
 
-class APSystemsInverter {
-    constructor(log, config) {
-    	this.log = log;
-    	this.config = config;
+/**
+ * Parse an energy value from an API response
+ *
+ * @param {value} kWh as a number or numeric string
+ * @return {number} kWh rounded to two decimals, or null if the value is missing
+ */
+const parseEnergyValue = (value) => {
+	if (value === null || value === undefined || value === '' || isNaN(parseFloat(value))) {
+		return null;
+	}
+	return parseFloat(parseFloat(value).toFixed(2));
+}
 
-    	this.service = new Service.LightSensor(this.config.name);
+/**
+ * Parse a legacy getPowerInfo response body into readings
+ * Today's energy is integrated over the "time" list; responses without one
+ * are taken as samples LEGACY_SAMPLE_INTERVAL apart
+ *
+ * @param {responseData} Legacy API response body
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @param {now} Current time in ms, the day the samples are from
+ * @return {object} { watts, kwh, powerCurve, peakWatts, peakTime, peakHour } or null if the response holds no power data
+ * (powerCurve and the peak are left out without a "time" list)
+ */
+const parseLegacyReadings = (responseData, timezone, now = Date.now()) => {
+	if (!responseData || (responseData.code != null && responseData.code != 1) || !responseData.data) {
+		return null;
+	}
 
-    	this.name = config["name"];
-    	this.manufacturer = config["manufacturer"] || "AP Systems";
-	    this.model = config["model"] || "Inverter";
-	    this.serial = config["serial"] || "APSystems-inverter";
-	    
-	    // ECU ID for legacy API
-	    this.ecuId = config["ecuId"];
-	    
-	    // For backward compatibility - explicitly check for true
-	    // If not explicitly set to true, default to false (use web dashboard API)
-	    this.useLegacyApi = config["useLegacyApi"] === true;
-	    
-	    // Warn if ecuId is provided but useLegacyApi is not true (might be old config)
-	    if (this.ecuId && !this.useLegacyApi) {
-	    	this.log.warn('ecuId is provided but useLegacyApi is not set to true. Ignoring ecuId and using web dashboard API.');
-	    }
-	    
-	    this.inverter_data = config["inverter_data"];
-	    this.minLux = config["min_lux"] || DEF_MIN_LUX;
-    	this.maxLux = config["max_lux"] || DEF_MAX_LUX;
-    	
-    	// Demo login configuration - required
-    	// Can provide either demoLoginUrl (full URL) or demoUserId (just the ID)
-    	this.demoLoginUrl = config["demoLoginUrl"];
-    	this.demoUserId = config["demoUserId"];
+	const powerData = parseList(responseData.data.power);
+	if (!powerData || powerData.length === 0) {
+		return null;
+	}
+
+	const readings = {
+		watts: parseInt(powerData[powerData.length - 1]) || 0
+	};
+	
+	const powerCurve = buildPowerCurve(responseData.data.time, powerData, getSiteDay(now, timezone), timezone);
+	if (powerCurve && powerCurve.length > 0) {
+		readings.kwh = integrateEnergy(powerCurve);
+		readings.powerCurve = powerCurve;
+		Object.assign(readings, getPeak(powerCurve, timezone));
+	} else {
+		const wattSamples = powerData.reduce((total, value) => total + (parseInt(value) || 0), 0);
+		readings.kwh = parseFloat((wattSamples * LEGACY_SAMPLE_INTERVAL / 3600 / 1000).toFixed(2));
+	}
+	return readings;
+}
+
+/**
+ * Parse a dashboard daily energy response body into readings
+ * The daily list only holds energy totals, so current power is left to
+ * getDashboardCurrentPower
+ * When the response has a "date" list, today and yesterday are looked up by
+ * their day at the site; a list without today yet means nothing was produced
+ * since midnight. Without dates the last value is taken as today.
+ *
+ * @param {data} Dashboard response body
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @param {now} Current time in ms
+ * @return {object} { watts: null, kwh, yesterdayKwh, daily: [{ time, kwh }] } or null if the response holds no energy data
+ */
+const parseDashboardReadings = (data, timezone, now = Date.now()) => {
+	try {
+		// Parse the dashboard response format:
+		// Daily: { "date": [timestamps...], "list": ["kWh values..."] }
+		// The last value in "list" is today's daily energy total
+		if (!data || typeof data !== 'object') {
+			return null;
+		}
+		
+		let energyList = [];
+		
+		// Check for the actual API response format
+		if (data.list && Array.isArray(data.list)) {
+			energyList = data.list;
+		} else if (Array.isArray(data)) {
+			// Fallback: if data is directly an array
+			energyList = data;
+		} else if (data.data && Array.isArray(data.data)) {
+			// Another possible format
+			energyList = data.data;
+		}
+		
+		// Filter out null values and get the last valid value (today's energy)
+		const validValues = energyList.filter(v => v !== null && v !== undefined && v !== '');
+		if (validValues.length === 0) {
+			return null;
+		}
+		
+		let todayEnergy = parseFloat(validValues[validValues.length - 1]) || 0;
+		let yesterdayEnergy = validValues.length > 1 ? parseEnergyValue(validValues[validValues.length - 2]) : null;
+		
+		// The parallel "date" list gives the day of each value
+		let daily;
+		if (Array.isArray(data.date) && data.date.length === energyList.length) {
+			const energyByDay = {};
+			energyList.forEach((value, index) => {
+				const day = parseSiteDay(data.date[index], timezone);
+				if (day) {
+					energyByDay[day] = parseEnergyValue(value);
+				}
+			});
+			const today = getSiteDay(now, timezone);
+			todayEnergy = energyByDay[today] || 0;
+			yesterdayEnergy = energyByDay[addDays(today, -1)];
+			if (yesterdayEnergy === undefined) {
+				yesterdayEnergy = null;
+			}
+			
+			daily = energyList
+				.map((value, index) => ({ time: parseDayTimestamp(data.date[index], timezone), kwh: parseEnergyValue(value) }))
+				.filter(day => day.time !== null && day.kwh !== null);
+		}
+		
+		return {
+			watts: null,
+			kwh: parseFloat(todayEnergy.toFixed(2)),
+			yesterdayKwh: yesterdayEnergy,
+			daily: daily
+		};
+	} catch (error) {
+		console.error('Error parsing dashboard data:', error.message);
+		console.error('Response data:', JSON.stringify(data, null, 2));
+		return null;
+	}
+}
+
+/**
+ * Parse the latest actual power from a dashboard production info or power curve response
+ * Production info: { "lastPower": "W", ... }
+ * Power curve: { "time": [...], "power": ["W"...] }
+ *
+ * @param {data} Dashboard response body
+ * @return {number} Current power in watts, or null if the response holds none
+ */
+const parseDashboardPower = (data) => {
+	if (!data || typeof data !== 'object') {
+		return null;
+	}
+	
+	const lastPower = data.lastPower != null ? data.lastPower : data.currentPower;
+	if (lastPower != null && lastPower !== '' && !isNaN(parseFloat(lastPower))) {
+		return Math.round(parseFloat(lastPower));
+	}
+	
+	if (Array.isArray(data.power)) {
+		const validValues = data.power.filter(v => v !== null && v !== undefined && v !== '' && !isNaN(parseFloat(v)));
+		if (validValues.length > 0) {
+			return Math.round(parseFloat(validValues[validValues.length - 1]));
+		}
+	}
+	
+	return null;
+}
+
+/**
+ * Parse lifetime energy from a dashboard production info response
+ *
+ * @param {data} Dashboard response body
+ * @return {number} Lifetime energy in kWh, or null if the response holds none
+ */
+const parseDashboardLifetime = (data) => {
+	if (!data || typeof data !== 'object') {
+		return null;
+	}
+	return parseEnergyValue(data.lifetimeEnergy != null ? data.lifetimeEnergy : data.totalEnergy);
+}
+
+/**
+ * Parse month-to-date and year-to-date energy from a dashboard monthly energy response
+ * Monthly: { "list": ["kWh per month of the current year"...] }
+ *
+ * @param {data} Dashboard response body
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @param {now} Current time in ms
+ * @return {object} { monthKwh, yearKwh } or null if the response holds no monthly data
+ */
+const parseDashboardMonthlyReadings = (data, timezone, now = Date.now()) => {
+	if (!data || !Array.isArray(data.list)) {
+		return null;
+	}
+	
+	const values = data.list.map(parseEnergyValue);
+	const validValues = values.filter(v => v !== null);
+	if (validValues.length === 0) {
+		return null;
+	}
+	
+	// A full-year list is indexed by month, otherwise the last entry is the current month
+	const month = parseInt(getSiteDay(now, timezone).slice(5, 7)) - 1;
+	const monthKwh = values.length === 12 ? values[month] : validValues[validValues.length - 1];
+	const yearKwh = validValues.reduce((total, value) => total + value, 0);
+	
+	return {
+		monthKwh: monthKwh,
+		yearKwh: parseFloat(yearKwh.toFixed(2))
+	};
+}
+
+/**
+ * Parse today's power curve and its peak from a dashboard power curve response
+ * Power curve: { "time": ["HH:mm"...], "power": ["W"...] }
+ *
+ * @param {data} Dashboard response body
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @param {now} Current time in ms, the day the curve is from
+ * @return {object} { powerCurve, peakWatts, peakTime, peakHour } or null if the response holds no curve
+ */
+const parseDashboardPowerCurve = (data, timezone, now = Date.now()) => {
+	if (!data || typeof data !== 'object') {
+		return null;
+	}
+	const powerCurve = buildPowerCurve(data.time, data.power, getSiteDay(now, timezone), timezone);
+	if (!powerCurve) {
+		return null;
+	}
+	return { powerCurve: powerCurve, ...getPeak(powerCurve, timezone) };
+}
+
+/**
+ * Get the latest actual power reading, lifetime energy and today's power curve from the dashboard
+ * Power comes from the production info, falling back to today's power curve
+ *
+ * @param {client} Account HTTP client from createApiClient
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @return {object} { watts, lifetimeKwh, powerCurve, peakWatts, peakTime, peakHour }, each null if the dashboard has none
+ */
+const getDashboardProductionReadings = async (client, timezone) => {
+	const productionInfo = await client.session.request(DASHBOARD_PRODUCTION_INFO_ENDPOINT);
+	const productionData = productionInfo ? productionInfo.data : null;
+	const powerCurveResponse = await client.session.request(DASHBOARD_POWER_CURVE_ENDPOINT);
+	const powerCurveData = powerCurveResponse ? powerCurveResponse.data : null;
+	
+	let watts = parseDashboardPower(productionData);
+	if (watts === null) {
+		watts = parseDashboardPower(powerCurveData);
+	}
+	
+	return {
+		watts: watts,
+		lifetimeKwh: parseDashboardLifetime(productionData),
+		powerCurve: null,
+		peakWatts: null,
+		peakTime: null,
+		peakHour: null,
+		...parseDashboardPowerCurve(powerCurveData, timezone)
+	};
+}
+
+/**
+ * Fetches and returns all readings for an account in a single request
+ *
+ * @param {client} Account HTTP client from createApiClient
+ * @param {account} Account settings from buildAccount
+ * @return {object} { watts, kwh } or null if no data could be fetched (watts is null
+ * when the source has energy totals but no current power)
+ */
+const getInverterReadings = async (client, account) => {
+	if (account.dataSource === SOURCE_LOCAL) {
+		const localReadings = await getLocalEcuReadings(account.ecuHost, account.ecuPort, client);
+		if (localReadings) {
+			localReadings.lifetimeKwh = parseEnergyValue(localReadings.ecu.lifetimeKwh);
+		}
+		return localReadings;
+	}
+	
+	if (account.dataSource === SOURCE_OPENAPI) {
+		const openApiResponse = await getOpenApiData(client, account.appId, account.appSecret, account.sid, account.eid, account.timezone);
+		const openApiReadings = openApiResponse ? parseOpenApiReadings(openApiResponse.data) : null;
+		if (openApiResponse && !openApiReadings) {
+			setOpenApiFault(client, openApiResponse.data);
+		}
+		if (openApiReadings) {
+			const summaryResponse = await getOpenApiSummary(client, account.appId, account.appSecret, account.sid);
+			Object.assign(openApiReadings, summaryResponse ? parseOpenApiSummary(summaryResponse.data) : null);
+			
+			// Per-inverter data costs an extra request, so only fetch it when it is shown
+			if (account.inverterAccessories !== INVERTER_ACCESSORIES_NONE) {
+				const inverterResponse = await getOpenApiInverterData(client, account.appId, account.appSecret, account.sid, account.eid, account.timezone);
+				openApiReadings.inverters = (inverterResponse ? parseOpenApiInverters(inverterResponse.data) : null) || [];
+			}
+		}
+		return openApiReadings;
+	}
+	
+	const useLegacyApi = account.dataSource === SOURCE_LEGACY;
+	const inverterData = await getInverterData(client, useLegacyApi, account.ecuId, account.timezone);
+	
+	if (!inverterData || !inverterData.data) {
+		return null;
+	}
+	
+	if (useLegacyApi) {
+		return parseLegacyReadings(inverterData.data, account.timezone);
+	}
+	
+	// Response should already be parsed JSON by getDashboardData, but double-check
+	let data = inverterData.data;
+	if (typeof data === 'string') {
+		try {
+			data = JSON.parse(data);
+		} catch (e) {
+			console.error('Response is not valid JSON');
+			return null;
+		}
+	}
+	
+	const readings = parseDashboardReadings(data, account.timezone);
+	if (readings) {
+		Object.assign(readings, await getDashboardProductionReadings(client, account.timezone));
+		
+		const monthlyResponse = await client.session.request(DASHBOARD_MONTHLY_ENERGY_ENDPOINT);
+		Object.assign(readings, monthlyResponse ? parseDashboardMonthlyReadings(monthlyResponse.data, account.timezone) : null);
+	}
+	return readings;
+}
+
+/**
+ * Get the power of one inverter, or of one of its channels, from a set of readings
+ *
+ * @param {readings} Readings from the poller (may be null before the first poll)
+ * @param {uid} Inverter UID
+ * @param {channel} Channel number starting at 1, or null for the whole inverter
+ * @return {number} Power in watts, or null if the inverter is not in the readings
+ */
+const getInverterPower = (readings, uid, channel) => {
+	const inverters = readings && Array.isArray(readings.inverters) ? readings.inverters : [];
+	const inverter = inverters.find(candidate => candidate.uid === uid);
+	if (!inverter) {
+		return null;
+	}
+	if (channel) {
+		return inverter.power[channel - 1] != null ? inverter.power[channel - 1] : null;
+	}
+	return inverter.power.reduce((total, power) => total + power, 0);
+}
+
+/**
+ * Get the average AC voltage of one inverter, or of all inverters, from a set of readings
+ *
+ * @param {readings} Readings from the poller (may be null before the first poll)
+ * @param {uid} Inverter UID, or null for all inverters
+ * @return {number} Voltage in volts, or null if the readings hold no voltages
+ */
+const getInverterVoltage = (readings, uid) => {
+	const inverters = readings && Array.isArray(readings.inverters) ? readings.inverters : [];
+	const voltages = inverters
+		.filter(inverter => !uid || inverter.uid === uid)
+		.reduce((all, inverter) => all.concat(inverter.voltage || []), [])
+		.filter(voltage => voltage > 0);
+	if (voltages.length === 0) {
+		return null;
+	}
+	return parseFloat((voltages.reduce((total, voltage) => total + voltage, 0) / voltages.length).toFixed(1));
+}
+
+/**
+ * Build the account settings a poller works from
+ * Accepts a platform account entry or a single-accessory config. Every
+ * option is checked first and configs from before 0.6 are migrated.
+ *
+ * @param {config} Account configuration
+ * @param {log} Optional Homebridge logger for migrations and warnings
+ * @param {options} Validation options, see validateAccountConfig
+ * @return {object} Normalised account settings
+ * @throws {Error} Listing every problem that keeps the account from working
+ */
+const buildAccount = (config, log, options) => {
+	const validation = validateAccountConfig(config, options);
+	const name = (config && config["name"]) || PLATFORM_NAME;
+	if (log) {
+		logValidationResult(log, `[${name}] `, { ...validation, errors: [] });
+	}
+	if (validation.errors.length > 0) {
+		throw new Error(`${validation.errors.length} configuration problem(s):\n  - ${validation.errors.join('\n  - ')}`);
+	}
+	config = validation.config;
+	
+	const account = {
+		name: name,
+		// useLegacyApi predates dataSource and is still honoured
+		dataSource: config["dataSource"] || (config["useLegacyApi"] === true ? SOURCE_LEGACY : SOURCE_DASHBOARD),
+		ecuId: config["ecuId"],
+		demoLoginUrl: config["demoLoginUrl"],
+		demoUserId: config["demoUserId"],
+		username: config["username"],
+		password: config["password"],
+		inverterAccessories: config["inverterAccessories"] || INVERTER_ACCESSORIES_NONE,
+		serviceType: config["serviceType"] || SERVICE_LIGHT_SENSOR,
+		history: config["history"] === true,
+		pollInterval: Math.max(parseInt(config["pollInterval"]) || DEF_POLL_INTERVAL, MIN_POLL_INTERVAL),
+		// Days are counted in the site's timezone, the host's when not set
+		timezone: config["timezone"] || null,
+		// Without a location polls go on around the clock
+		latitude: config["latitude"] != null ? parseFloat(config["latitude"]) : null,
+		longitude: config["longitude"] != null ? parseFloat(config["longitude"]) : null
+	};
+	// 0 stops polling between sunset and sunrise
+	const nightPollInterval = parseInt(config["nightPollInterval"]);
+	account.nightPollInterval = isNaN(nightPollInterval) ? DEF_NIGHT_POLL_INTERVAL
+		: nightPollInterval === 0 ? 0 : Math.max(nightPollInterval, MIN_POLL_INTERVAL);
+	// Tariffs and CO2 factor of the derived data types, see lib/derived.js
+	account.derived = {
+		tariff: config["tariff"] != null ? { price: config["tariff"], periods: config["tariffPeriods"] || [] } : null,
+		feedInTariff: config["feedInTariff"] != null ? config["feedInTariff"] : null,
+		selfConsumption: config["selfConsumption"] != null ? config["selfConsumption"] : null,
+		co2Factor: config["co2Factor"] != null ? config["co2Factor"] : null,
+		timezone: account.timezone
+	};
+	// Only shown in the log, e.g. "EUR"
+	account.currency = config["currency"] || null;
+	// Energy meter the production is balanced against, see lib/consumption.js
+	const consumption = config["consumption"];
+	account.consumption = consumption ? {
+		url: consumption["url"],
+		topic: consumption["topic"],
+		path: consumption["path"],
+		measures: consumption["measures"] || MEASURES_CONSUMPTION,
+		interval: parseInt(consumption["interval"]) || null,
+		username: consumption["username"],
+		password: consumption["password"],
+		exportingSensor: consumption["exportingSensor"] !== false,
+		exportThreshold: consumption["exportThreshold"] != null ? consumption["exportThreshold"] : DEF_EXPORT_THRESHOLD
+	} : null;
+	// Readings younger than the TTL are served without asking the source again
+	account.cacheTtl = Math.max(parseInt(config["cacheTtl"]) || account.pollInterval, MIN_POLL_INTERVAL);
+	account.noResponseAfter = Math.max(parseInt(config["noResponseAfter"]) || DEF_NO_RESPONSE_AFTER, 1);
+	
+	if (account.dataSource === SOURCE_LOCAL) {
+		account.ecuHost = config["ecuHost"];
+		account.ecuPort = parseInt(config["ecuPort"]) || ECU_DEFAULT_PORT;
+		account.key = `local:${account.ecuHost}:${account.ecuPort}`;
+	} else if (account.dataSource === SOURCE_OPENAPI) {
+		account.appId = config["appId"];
+		account.appSecret = config["appSecret"];
+		account.sid = config["sid"];
+		// The ECU ID is the OpenAPI "eid"
+		account.eid = config["eid"] || config["ecuId"];
+		account.key = `openapi:${account.sid}:${account.eid}`;
+	} else if (account.dataSource === SOURCE_LEGACY) {
+		account.key = `ecu:${account.ecuId}`;
+	} else if (account.username) {
+		// A full account login takes precedence over the demo link
+		account.key = `user:${account.username}`;
+	} else {
+		// Without a link the demo login URL is built from the ID when logging in
+		account.key = `demo:${account.demoUserId || account.demoLoginUrl}`;
+	}
+	
+	// The checked and migrated options, for the accessories created from them
+	account.config = config;
+	return account;
+}
+
+/**
+ * Log in and fetch the readings of an account once, without a poller
+ * Used by the Homebridge UI to test a configuration before it is saved
+ *
+ * @param {config} Account configuration
+ * @return {object} { readings, fault } where fault is null when readings were received
+ */
+const testConnection = async (config) => {
+	const account = buildAccount(config);
+	const client = createApiClient(account);
+	const readings = await getInverterReadings(client, account);
+	
+	if (!readings) {
+		return { readings: null, fault: client.fault || NO_READINGS_FAULT };
+	}
+	return { readings: { ...readings, ...getDerivedReadings(readings, account.derived), timestamp: Date.now() }, fault: null };
+}
+
+/**
+ * Polls one account on the schedule of lib/schedule.js and fans the latest readings out
+ * to every accessory attached to it through the 'update' event
+ */
+class InverterPoller extends EventEmitter {
+	/**
+	 * @param {log} Homebridge logger
+	 * @param {account} Account settings from buildAccount
+	 * @param {cache} Optional ReadingsCache persisting the last readings
+	 */
+	constructor(log, account, cache) {
+		super();
+		this.log = log;
+		this.account = account;
+		this.cache = cache || null;
+		// Each account polls through its own HTTP clients and cookie jar
+		this.client = createApiClient(account);
+		this.readings = null;
+		this.running = false;
+		this.timer = null;
+		// Time of the next scheduled poll, and whether the sun is down at the site
+		this.nextPoll = null;
+		this.night = null;
+		this.pending = null;
+		this.lastAttempt = 0;
+		// Why the last poll failed (null after a successful poll) and how many failed in a row
+		this.fault = null;
+		this.failures = 0;
+		// The most recent fault with its time, kept after the account recovers
+		this.lastFault = null;
+		// The data source lacking current power is warned about once
+		this.warnedNoWatts = false;
+		this.meter = account.consumption ? new ConsumptionMeter(log, account.consumption, account.name) : null;
+	}
+
+	start() {
+		if (this.running) {
+			return;
+		}
+		this.running = true;
+		
+		// Show the last known values right away instead of waiting for the cloud
+		const cached = this.cache ? this.cache.get(this.account.key) : null;
+		if (cached) {
+			this.readings = this.derive(rollOverReadings({ ...cached, restored: true }, this.account.timezone, Date.now()));
+			this.log(`[${this.account.name}] Restored readings from cache (${this.getDataAge()}s old)`);
+			this.emit('update', this.readings);
+		}
+		
+		if (this.meter) {
+			this.meter.on('update', () => this.updateBalance());
+			// Without a recent meter reading the balance is unknown
+			this.meter.on('stale', () => this.updateBalance());
+			this.meter.start();
+		}
+		
+		if (this.isFresh()) {
+			this.scheduleNext();
+		} else {
+			this.pollAndSchedule();
+		}
+	}
+
+	stop() {
+		this.running = false;
+		clearTimeout(this.timer);
+		this.timer = null;
+		if (this.meter) {
+			this.meter.stop();
+		}
+	}
+
+	pollAndSchedule() {
+		this.timer = null;
+		this.poll().then(() => {
+			if (this.running && !this.timer) {
+				this.scheduleNext();
+			}
+		});
+	}
+
+	/**
+	 * Set the timer for the next poll: pollInterval in daylight, nightPollInterval
+	 * (or not until sunrise) at night, longer after each failed poll
+	 */
+	scheduleNext() {
+		const schedule = getPollDelay(this.account, this.failures, Date.now());
+		if (schedule.night !== this.night) {
+			this.night = schedule.night;
+			this.logSchedule(schedule.nextDaylight);
+		}
+		if (this.failures > 0 && !schedule.night) {
+			this.log.debug(`[${this.account.name}] Retrying in ${Math.round(schedule.delay / 1000)}s after ${this.failures} failed poll(s)`);
+		}
+		this.nextPoll = Date.now() + schedule.delay;
+		this.timer = setTimeout(() => this.pollAndSchedule(), schedule.delay);
+	}
+
+	/**
+	 * Log the change between the day and night schedule
+	 *
+	 * @param {nextDaylight} Time in ms the day schedule resumes, null if the sun does not rise soon
+	 */
+	logSchedule(nextDaylight) {
+		if (this.account.latitude == null) {
+			return;
+		}
+		if (!this.night) {
+			this.log(`[${this.account.name}] Daylight at the site, polling every ${this.account.pollInterval}s`);
+			return;
+		}
+		const polling = this.account.nightPollInterval > 0 ? `every ${this.account.nightPollInterval}s` : 'paused';
+		const until = nextDaylight === null
+			? 'the sun rises'
+			: new Date(nextDaylight).toLocaleTimeString('en-GB', { timeZone: this.account.timezone || undefined, hour: '2-digit', minute: '2-digit' });
+		this.log(`[${this.account.name}] Night at the site, polling ${polling} until ${until}, keeping today's energy`);
+	}
+
+	/**
+	 * Whether a HomeKit read may start a poll. Not at night or while backing
+	 * off after failed polls, when the schedule polls less often on purpose.
+	 */
+	canRevalidate() {
+		return !this.night && this.failures === 0 && Date.now() - this.lastAttempt >= MIN_REVALIDATE_INTERVAL * 1000;
+	}
+
+	/**
+	 * @returns {number} Age of the current readings in seconds, or null without readings
+	 */
+	getDataAge() {
+		if (!this.readings) {
+			return null;
+		}
+		return Math.max(Math.round((Date.now() - this.readings.timestamp) / 1000), 0);
+	}
+
+	isFresh() {
+		return this.readings !== null && this.getDataAge() < this.account.cacheTtl;
+	}
+
+	/**
+	 * Readings for HomeKit: always answered from memory, never waiting on the
+	 * network. Stale readings trigger a refresh in the background.
+	 *
+	 * @returns {object} Last readings, or null before the first successful poll
+	 */
+	getReadings() {
+		if (!this.isFresh() && this.canRevalidate()) {
+			this.poll();
+		}
+		this.rollOver();
+		return this.readings;
+	}
+
+	/**
+	 * Reset today's energy once the site has passed midnight since the last
+	 * successful poll, instead of showing yesterday's total as today's
+	 */
+	rollOver() {
+		const readings = rollOverReadings(this.readings, this.account.timezone, Date.now());
+		if (readings !== this.readings) {
+			this.readings = this.derive(readings);
+			this.log(`[${this.account.name}] New day at the site, today's energy starts at 0 until the next poll`);
+			this.emit('update', this.readings);
+		}
+	}
+
+	/**
+	 * @param {readings} Readings of a poll
+	 * @returns {object} The readings with the money and CO2 values of lib/derived.js,
+	 * and the balance with the consumption meter
+	 */
+	derive(readings) {
+		return { ...readings, ...getDerivedReadings(readings, this.account.derived), ...this.getBalance(readings) };
+	}
+
+	/**
+	 * @param {readings} Readings of a poll
+	 * @returns {object} Consumption, export, import and self-consumption, or nothing without a meter
+	 */
+	getBalance(readings) {
+		if (!this.meter) {
+			return {};
+		}
+		return getBalance(readings.watts, this.meter.getWatts(Date.now()), this.account.consumption.measures);
+	}
+
+	/**
+	 * Combine a new meter reading with the last production and pass it on
+	 * through the 'balance' event. The meter reads far more often than the
+	 * inverter is polled, so this is kept apart from 'update' and its logging.
+	 */
+	updateBalance() {
+		if (!this.readings) {
+			return;
+		}
+		this.readings = { ...this.readings, ...this.getBalance(this.readings) };
+		this.emit('balance', this.readings);
+	}
+
+	/**
+	 * Whether accessories should answer HomeKit: false once polls have failed
+	 * noResponseAfter times in a row, or when the first polls failed and there
+	 * is nothing to show
+	 */
+	isResponding() {
+		if (this.failures >= this.account.noResponseAfter) {
+			return false;
+		}
+		return this.readings !== null || this.fault === null;
+	}
+
+	poll() {
+		// Never run two fetches for the same account at once
+		if (!this.pending) {
+			this.lastAttempt = Date.now();
+			this.pending = this.fetch().finally(() => {
+				this.pending = null;
+			});
+		}
+		return this.pending;
+	}
+
+	async fetch() {
+		this.client.fault = null;
+		try {
+			const readings = await getInverterReadings(this.client, this.account);
+			
+			if (!readings) {
+				// A response we could not read leaves no fault of its own
+				this.reportFault(this.client.fault || NO_READINGS_FAULT);
+				return this.readings;
+			}
+			
+			if (readings.watts === null) {
+				const message = `[${this.account.name}] Current power is not available from the ${this.account.dataSource} data source, Watts accessories report 0`;
+				if (this.warnedNoWatts) {
+					this.log.debug(message);
+				} else {
+					this.warnedNoWatts = true;
+					this.log.warn(message);
+				}
+			}
+			
+			this.readings = this.derive({ ...readings, timestamp: Date.now() });
+			if (this.cache) {
+				this.cache.set(this.account.key, this.readings);
+			}
+			if (this.fault) {
+				this.log(`[${this.account.name}] Data received again after ${this.failures} failed poll(s)`);
+			}
+			this.fault = null;
+			this.failures = 0;
+			this.emit('update', this.readings);
+		} catch (error) {
+			this.log.error(`[${this.account.name}] Error polling inverter data:`, error.message);
+			this.reportFault({ kind: FAULT_SCHEMA, message: error.message });
+		}
+		return this.readings;
+	}
+
+	/**
+	 * Log a failed poll and let the accessories show it
+	 *
+	 * @param {fault} Fault recorded by setFault
+	 */
+	reportFault(fault) {
+		this.fault = fault;
+		this.lastFault = { ...fault, time: Date.now() };
+		this.failures++;
+		this.rollOver();
+		
+		const kept = this.readings ? `, keeping last readings (${this.getDataAge()}s old)` : '';
+		this.log.warn(`[${this.account.name}] Poll failed (${describeFault(fault)})${kept}`);
+		if (this.failures === this.account.noResponseAfter) {
+			this.log.error(`[${this.account.name}] ${this.failures} polls failed in a row, accessories show "No Response" until data is received again`);
+		}
+		this.emit('fault', fault);
+	}
+}
+
+// Pollers for accessories configured in the "accessories" section, keyed by
+// account so a Watts and a Kwh accessory for the same account fetch only once
+const sharedPollers = new Map();
+
+const getSharedPoller = (log, account, cache) => {
+	let poller = sharedPollers.get(account.key);
+	if (!poller) {
+		poller = new InverterPoller(log, account, cache);
+		sharedPollers.set(account.key, poller);
+		poller.start();
+	}
+	return poller;
+}
+
+/**
+ * Stop the shared poller of an account, once all its accessories are going away
+ */
+const stopSharedPoller = (key) => {
+	const poller = sharedPollers.get(key);
+	if (poller) {
+		poller.stop();
+		sharedPollers.delete(key);
+	}
+}
+
+/**
+ * Service that mirrors one reading of an account's poller, either an account
+ * total or the power of one inverter (config.uid) or channel (config.channel)
+ *
+ * As a light sensor the reading is shown as the ambient light level (lux).
+ * As an outlet it carries Eve power-meter characteristics with real units and
+ * is "in use" while producing.
+ */
+class InverterSensor {
+	constructor(log, service, poller, config) {
+		this.log = log;
+		this.service = service;
+		this.poller = poller;
+		
+		this.inverter_data = config["inverter_data"];
+		this.uid = config["uid"];
+		this.channel = config["channel"];
+		this.serviceType = config["serviceType"] || SERVICE_LIGHT_SENSOR;
+		this.minLux = config["min_lux"] || DEF_MIN_LUX;
+		this.maxLux = config["max_lux"] || DEF_MAX_LUX;
+		
+		if (this.serviceType === SERVICE_OUTLET) {
+			this.configureOutlet();
+		} else {
+			this.service.getCharacteristic(Characteristic.CurrentAmbientLightLevel)
+				.on('get', this.getCurrentAmbientLightLevelHandler.bind(this))
+				.setProps({
+					minValue: this.minLux,
+					maxValue: this.maxLux,
+					// Power is whole watts, energy has two decimals
+					minStep: this.isPower() ? 1 : 0.01
+				});
+		}
+		this.configureStatus();
+		
+		this.poller.on('update', this.update.bind(this));
+		this.poller.on('fault', this.updateStatus.bind(this));
+		if (BALANCE_DATA_TYPES.includes(this.inverter_data)) {
+			this.poller.on('balance', this.updateValue.bind(this));
+		}
+		if (this.poller.readings) {
+			this.update(this.poller.readings);
+		}
+	}
+
+	/**
+	 * StatusActive and StatusFault show whether the last poll succeeded
+	 * Outlets do not declare them, so they are added explicitly
+	 */
+	configureStatus() {
+		[Characteristic.StatusActive, Characteristic.StatusFault].forEach(StatusCharacteristic => {
+			if (!this.service.testCharacteristic(StatusCharacteristic)) {
+				this.service.addCharacteristic(StatusCharacteristic);
+			}
+		});
+		this.service.getCharacteristic(Characteristic.StatusActive)
+			.on('get', callback => this.respond(callback, this.poller.fault === null));
+		this.service.getCharacteristic(Characteristic.StatusFault)
+			.on('get', callback => this.respond(callback, this.getStatusFault()));
+		this.updateStatus();
+	}
+
+	getStatusFault() {
+		return this.poller.fault ? Characteristic.StatusFault.GENERAL_FAULT : Characteristic.StatusFault.NO_FAULT;
+	}
+
+	updateStatus() {
+		this.service.updateCharacteristic(Characteristic.StatusActive, this.poller.fault === null);
+		this.service.updateCharacteristic(Characteristic.StatusFault, this.getStatusFault());
+	}
+
+	respond(callback, value) {
+		respondFromPoller(this.poller, callback, value);
+	}
+
+	configureOutlet() {
+		const readOnly = (characteristic) => characteristic
+			.on('get', callback => this.respond(callback, this.isProducing()))
+			// The outlet cannot be switched, so put the state back after a write
+			.on('set', (value, callback) => {
+				callback();
+				setTimeout(() => characteristic.updateValue(this.isProducing()), 100);
+			});
+		
+		readOnly(this.service.getCharacteristic(Characteristic.On));
+		this.service.getCharacteristic(Characteristic.OutletInUse)
+			.on('get', callback => this.respond(callback, this.isProducing()));
+		
+		[EveCharacteristics.CurrentConsumption, EveCharacteristics.TotalConsumption, EveCharacteristics.Voltage].forEach(EveCharacteristic => {
+			if (!this.service.testCharacteristic(EveCharacteristic)) {
+				this.service.addCharacteristic(EveCharacteristic);
+			}
+		});
+		this.service.getCharacteristic(EveCharacteristics.CurrentConsumption)
+			.on('get', callback => this.respond(callback, this.readPower(this.poller.getReadings()) || 0));
+		this.service.getCharacteristic(EveCharacteristics.TotalConsumption)
+			.on('get', callback => this.respond(callback, this.readEnergy(this.poller.getReadings()) || 0));
+		this.service.getCharacteristic(EveCharacteristics.Voltage)
+			.on('get', callback => this.respond(callback, getInverterVoltage(this.poller.getReadings(), this.uid) || 0));
+	}
+
+	isPower() {
+		return Boolean(this.uid) || POWER_DATA_TYPES.includes(this.inverter_data);
+	}
+
+	isProducing() {
+		return (this.readPower(this.poller.getReadings()) || 0) > 0;
+	}
+
+	/**
+	 * The raw reading this sensor shows, or null if the readings do not have it
+	 */
+	readValue(readings) {
+		if (this.uid) {
+			return getInverterPower(readings, this.uid, this.channel);
+		}
+		return readings ? readings[READING_KEYS[this.inverter_data]] : null;
+	}
+
+	/**
+	 * Current power for the Eve consumption characteristic
+	 */
+	readPower(readings) {
+		if (this.uid) {
+			return getInverterPower(readings, this.uid, this.channel);
+		}
+		return readings ? readings.watts : null;
+	}
+
+	/**
+	 * Energy for the Eve total consumption characteristic: the configured
+	 * energy reading, or today's energy for power sensors
+	 */
+	readEnergy(readings) {
+		if (this.uid || !readings) {
+			return null;
+		}
+		return this.isPower() ? readings.kwh : this.readValue(readings);
+	}
+
+	update(readings) {
+		const rawValue = this.readValue(readings);
+		// The consumption meter logs its own problems, and there is no peak time before the first sample
+		const noPeakYet = this.inverter_data === DEF_PEAK_TIME && readings && readings.peakWatts != null;
+		if (rawValue == null && !this.warnedUnavailable && !BALANCE_DATA_TYPES.includes(this.inverter_data) && !noPeakYet) {
+			this.warnedUnavailable = true;
+			this.log.warn(`${this.uid ? `Inverter ${this.uid}` : this.inverter_data} is not available from this data source, reporting 0`);
+		}
+		
+		const value = rawValue || 0;
+		if (this.uid) {
+			// One line per inverter per poll would flood the log
+			this.log.debug(`Current power of inverter ${this.uid}${this.channel ? ` channel ${this.channel}` : ''}:`, value);
+		} else {
+			this.log(`Current ${this.inverter_data}:`, this.describeValue(readings, value));
+		}
+		this.updateValue(readings);
+	}
+
+	/**
+	 * Show the readings without logging them, also for each consumption meter reading
+	 */
+	updateValue(readings) {
+		if (this.serviceType === SERVICE_OUTLET) {
+			const producing = this.isProducing();
+			this.service.updateCharacteristic(Characteristic.On, producing);
+			this.service.updateCharacteristic(Characteristic.OutletInUse, producing);
+			this.service.updateCharacteristic(EveCharacteristics.CurrentConsumption, this.readPower(readings) || 0);
+			this.service.updateCharacteristic(EveCharacteristics.TotalConsumption, this.readEnergy(readings) || 0);
+			this.service.updateCharacteristic(EveCharacteristics.Voltage, getInverterVoltage(readings, this.uid) || 0);
+		} else {
+			this.service.updateCharacteristic(Characteristic.CurrentAmbientLightLevel, this.toLux(this.readValue(readings) || 0));
+		}
+		this.updateStatus();
+	}
+
+	/**
+	 * The value for the log: money and CO2 with their unit, energy with the
+	 * money and CO2 derived from it
+	 */
+	describeValue(readings, value) {
+		const key = READING_KEYS[this.inverter_data];
+		const currency = this.poller.account.currency;
+		const formatted = formatDerivedValue(key, value, currency);
+		if (formatted !== null) {
+			return formatted;
+		}
+		const derived = describeDerived(readings, key, currency);
+		return derived ? `${value} (${derived})` : value;
+	}
+
+	/**
+	 * Clamp a reading into the light level range HomeKit accepts
+	 */
+	toLux(value) {
+		return Math.min(Math.max(value, this.minLux), this.maxLux);
+	}
+
+	getCurrentAmbientLightLevelHandler(callback) {
+		// Served from the last poll so HomeKit reads never wait on the network
+		this.respond(callback, this.toLux(this.readValue(this.poller.getReadings()) || 0));
+	}
+}
+
+/**
+ * Answer a HomeKit read, or fail it so HomeKit shows "No Response" while
+ * the poller is not getting any data
+ *
+ * @param {poller} InverterPoller the value comes from
+ * @param {callback} HomeKit get callback
+ * @param {value} Value to answer with
+ */
+const respondFromPoller = (poller, callback, value) => {
+	if (!poller.isResponding()) {
+		callback(new Error(`No data from the inverter after ${poller.failures} failed poll(s)`));
+		return;
+	}
+	callback(null, value);
+}
+
+/**
+ * Virtual sensor that is on while a reading is at or above a threshold, so
+ * generation can start automations in the Home app
+ */
+class TriggerSensor {
+	constructor(log, service, poller, config) {
+		this.log = log;
+		this.service = service;
+		this.poller = poller;
+		
+		this.name = config["name"];
+		this.inverter_data = config["inverter_data"] || DEF_Watts;
+		this.serviceType = config["serviceType"] || SERVICE_OCCUPANCY;
+		this.state = new ThresholdState({
+			threshold: config["threshold"],
+			hysteresis: config["hysteresis"],
+			minDwell: config["minDwell"]
+		});
+		this.state.on('change', active => {
+			this.log(`${this.name} is ${active ? 'on' : 'off'} (${this.inverter_data}: ${this.state.value === null ? 'unknown' : this.state.value})`);
+			this.service.updateCharacteristic(this.getCharacteristicType(), this.getCharacteristicValue());
+		});
+		
+		const characteristic = this.service.getCharacteristic(this.getCharacteristicType())
+			.on('get', callback => respondFromPoller(this.poller, callback, this.getCharacteristicValue()));
+		if (this.serviceType === SERVICE_SWITCH) {
+			// The switch follows production only, so put the state back after a write
+			characteristic.on('set', (value, callback) => {
+				callback();
+				setTimeout(() => characteristic.updateValue(this.getCharacteristicValue()), 100);
+			});
+		}
+		
+		this.poller.on('update', this.update.bind(this));
+		if (BALANCE_DATA_TYPES.includes(this.inverter_data)) {
+			this.poller.on('balance', this.update.bind(this));
+		}
+		if (this.poller.readings) {
+			this.update(this.poller.readings);
+		}
+	}
+
+	getCharacteristicType() {
+		switch (this.serviceType) {
+			case SERVICE_CONTACT:
+				return Characteristic.ContactSensorState;
+			case SERVICE_SWITCH:
+				return Characteristic.On;
+			default:
+				return Characteristic.OccupancyDetected;
+		}
+	}
+
+	/**
+	 * An active trigger is occupancy detected, an open contact or a switch that is on
+	 */
+	getCharacteristicValue() {
+		const active = this.state.active === true;
+		switch (this.serviceType) {
+			case SERVICE_CONTACT:
+				return active ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED : Characteristic.ContactSensorState.CONTACT_DETECTED;
+			case SERVICE_SWITCH:
+				return active;
+			default:
+				return active ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED;
+		}
+	}
+
+	/**
+	 * @param {readings} Latest readings
+	 */
+	update(readings) {
+		const value = readings[READING_KEYS[this.inverter_data]];
+		if (value == null) {
+			// The balance is unknown while the consumption meter is away, and
+			// an Exporting trigger must not stay on for it
+			if (BALANCE_DATA_TYPES.includes(this.inverter_data)) {
+				this.state.reset();
+			}
+			return;
+		}
+		
+		// minDwell counts from when the value was seen: the meter updates the
+		// balance between polls, and restored readings carry an old poll time
+		this.state.update(value, Date.now());
+	}
+
+	stop() {
+		this.state.stop();
+	}
+}
+
+/**
+ * Eve history holds the production power and is backfilled from the daily
+ * energy, so only Watts accessories shown as an outlet record it
+ *
+ * @param {history} Whether the account has history enabled
+ * @param {serviceType} Representation of the accessory
+ * @param {dataType} inverter_data of the accessory
+ */
+const recordsHistory = (history, serviceType, dataType) => history === true && serviceType === SERVICE_OUTLET && dataType === DEF_Watts;
+
+/**
+ * HAP service class for a representation
+ *
+ * @param {serviceType} "lightsensor" (default), "outlet", or for triggers "occupancy", "contact" or "switch"
+ */
+const getServiceClass = (serviceType) => {
+	switch (serviceType) {
+		case SERVICE_OUTLET:
+			return Service.Outlet;
+		case SERVICE_OCCUPANCY:
+			return Service.OccupancySensor;
+		case SERVICE_CONTACT:
+			return Service.ContactSensor;
+		case SERVICE_SWITCH:
+			return Service.Switch;
+		default:
+			return Service.LightSensor;
+	}
+}
+
+/**
+ * Dynamic platform: one poller per configured account, shared by all of
+ * that account's accessories
+ */
+class APSystemsPlatform {
+	constructor(log, config, api) {
+		this.log = log;
+		this.api = api;
+		
+		// Accounts are checked as they are set up, the rest of the platform here
+		const validation = validatePlatformConfig(config);
+		logValidationResult(log, '', validation);
+		this.config = validation.config;
+		
+		// Accessories restored from the Homebridge cache, keyed by UUID
+		this.cachedAccessories = new Map();
+		// Pollers and their readings, keyed by account
+		this.pollers = new Map();
+		// Trigger sensors, whose pending changes are dropped on shutdown
+		this.triggerSensors = [];
+		
+		if (!api) {
+			return;
+		}
+		
+		// Last readings survive restarts and cloud outages
+		this.cache = getReadingsCache(api.user.storagePath(), log);
+		
+		api.on('didFinishLaunching', () => {
+			this.discoverAccessories();
+			this.startMetricsServer();
+			this.startMqttPublisher();
+		});
+		api.on('shutdown', () => {
+			this.pollers.forEach(poller => poller.stop());
+			this.triggerSensors.forEach(sensor => sensor.stop());
+			if (this.metricsServer) {
+				this.metricsServer.close();
+			}
+			if (this.mqttPublisher) {
+				this.mqttPublisher.end();
+			}
+		});
+	}
+
+	/**
+	 * Serve the pollers' readings as JSON and Prometheus metrics when metricsPort is set
+	 */
+	startMetricsServer() {
+		const port = parseInt(this.config["metricsPort"]);
+		if (!port) {
+			return;
+		}
+		this.metricsServer = startMetricsServer({
+			port: port,
+			host: this.config["metricsHost"],
+			log: this.log,
+			getPollers: () => [...this.pollers.values()]
+		});
+	}
+
+	/**
+	 * Publish the pollers' readings to MQTT when mqtt.url is set
+	 */
+	startMqttPublisher() {
+		const mqttConfig = this.config["mqtt"];
+		if (!mqttConfig || !mqttConfig["url"]) {
+			return;
+		}
+		this.mqttPublisher = new MqttPublisher(this.log, mqttConfig);
+		this.pollers.forEach(poller => this.mqttPublisher.attach(poller));
+	}
+
+	configureAccessory(accessory) {
+		this.cachedAccessories.set(accessory.UUID, accessory);
+	}
+
+	discoverAccessories() {
+		// A platform without an "accounts" list is a single account
+		const hasAccounts = Array.isArray(this.config["accounts"]);
+		const accountConfigs = hasAccounts ? this.config["accounts"] : [this.config];
+		const activeUUIDs = new Set();
+		
+		accountConfigs.forEach(accountConfig => {
+			let account;
+			try {
+				account = buildAccount(accountConfig, this.log, { platform: !hasAccounts });
+			} catch (error) {
+				this.log.error(`Skipping account "${accountConfig["name"] || ''}":`, error.message);
+				return;
+			}
+			
+			if (this.pollers.has(account.key)) {
+				this.log.warn(`Skipping account "${account.name}": the same account is already configured`);
+				return;
+			}
+			
+			const poller = new InverterPoller(this.log, account, this.cache);
+			this.pollers.set(account.key, poller);
+			
+			let sensors = account.config["sensors"];
+			if (!Array.isArray(sensors) || sensors.length === 0) {
+				sensors = [
+					{ name: `${account.name} ${DEF_Watts}`, inverter_data: DEF_Watts },
+					{ name: `${account.name} ${DEF_KWH}`, inverter_data: DEF_KWH }
+				];
+				if (account.consumption) {
+					sensors.push(
+						{ name: `${account.name} Export`, inverter_data: DEF_EXPORT_WATTS },
+						{ name: `${account.name} Import`, inverter_data: DEF_IMPORT_WATTS },
+						{ name: `${account.name} Self-Consumption`, inverter_data: DEF_SELF_CONSUMPTION_RATIO }
+					);
+				}
+			}
+			
+			sensors.forEach(sensorConfig => {
+				const uuid = this.api.hap.uuid.generate(`${PLUGIN_NAME}:${account.key}:${sensorConfig["inverter_data"]}:${sensorConfig["name"]}`);
+				activeUUIDs.add(uuid);
+				
+				const serviceType = sensorConfig["serviceType"] || account.serviceType;
+				const accessory = this.setupAccessory(uuid, sensorConfig["name"], {
+					manufacturer: accountConfig["manufacturer"],
+					model: accountConfig["model"],
+					serial: accountConfig["serial"]
+				}, null, serviceType);
+				new InverterSensor(this.log, accessory.getService(getServiceClass(serviceType)), poller, {
+					...sensorConfig,
+					serviceType: serviceType
+				});
+				this.setupHistory(accessory, poller, recordsHistory(account.history, serviceType, sensorConfig["inverter_data"]));
+			});
+			
+			this.addTriggerAccessories(account, accountConfig, poller, activeUUIDs);
+			
+			if (account.history && !sensors.some(sensorConfig => recordsHistory(true, sensorConfig["serviceType"] || account.serviceType, sensorConfig["inverter_data"]))) {
+				this.log.warn(`[${account.name}] Eve history is only recorded for ${DEF_Watts} accessories with serviceType "outlet"`);
+			}
+			
+			// Inverters are only known once polled: re-attach the cached ones now
+			// and add new ones as the poller discovers them
+			if (account.inverterAccessories !== INVERTER_ACCESSORIES_NONE) {
+				this.cachedAccessories.forEach(accessory => {
+					const context = accessory.context || {};
+					if (context.accountKey === account.key && context.inverterAccessories === account.inverterAccessories) {
+						activeUUIDs.add(accessory.UUID);
+						// The representation may have changed since the accessory was cached
+						this.setupInverterAccessory(accessory.UUID, accessory.displayName, context, poller, account.serviceType);
+					}
+				});
+				poller.on('update', readings => this.addInverterAccessories(account, poller, readings));
+			}
+		});
+		
+		// Drop cached accessories that are no longer configured
+		const staleAccessories = [...this.cachedAccessories.values()].filter(accessory => !activeUUIDs.has(accessory.UUID));
+		if (staleAccessories.length > 0) {
+			staleAccessories.forEach(accessory => {
+				this.log(`Removing accessory ${accessory.displayName}`);
+				this.cachedAccessories.delete(accessory.UUID);
+			});
+			this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, staleAccessories);
+		}
+		
+		// Restored readings may add inverter accessories right away, so only
+		// start polling once the stale ones are gone
+		this.pollers.forEach(poller => poller.start());
+	}
+
+	/**
+	 * Restore or create an accessory with the service for its representation
+	 *
+	 * @param {uuid} Accessory UUID
+	 * @param {name} Accessory name
+	 * @param {info} { manufacturer, model, serial } for the accessory information service
+	 * @param {context} Context stored with the accessory in the Homebridge cache
+	 * @param {serviceType} Representation, see getServiceClass
+	 * @returns {object} Platform accessory
+	 */
+	setupAccessory(uuid, name, info, context, serviceType) {
+		let accessory = this.cachedAccessories.get(uuid);
+		if (!accessory) {
+			this.log(`Adding accessory ${name}`);
+			accessory = new this.api.platformAccessory(name, uuid);
+			if (context) {
+				accessory.context = context;
+			}
+			this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [accessory]);
+			this.cachedAccessories.set(uuid, accessory);
+		}
+		
+		accessory.getService(Service.AccessoryInformation)
+			.setCharacteristic(Characteristic.Manufacturer, info.manufacturer || "AP Systems")
+			.setCharacteristic(Characteristic.Model, info.model || "Inverter")
+			.setCharacteristic(Characteristic.SerialNumber, info.serial || "APSystems-inverter");
+		
+		// Drop the service of a representation that is no longer configured
+		const ServiceClass = getServiceClass(serviceType);
+		[SERVICE_LIGHT_SENSOR, SERVICE_OUTLET, SERVICE_OCCUPANCY, SERVICE_CONTACT, SERVICE_SWITCH].map(getServiceClass).forEach(OtherServiceClass => {
+			const otherService = accessory.getService(OtherServiceClass);
+			if (OtherServiceClass !== ServiceClass && otherService) {
+				accessory.removeService(otherService);
+			}
+		});
+		
+		if (!accessory.getService(ServiceClass)) {
+			accessory.addService(ServiceClass, name);
+		}
+		return accessory;
+	}
+
+	/**
+	 * Create the generation trigger accessories of an account
+	 */
+	addTriggerAccessories(account, accountConfig, poller, activeUUIDs) {
+		const triggers = (account.config["triggers"] || []).slice();
+		// "Currently exporting" of the consumption meter is a trigger on the export
+		if (account.consumption && account.consumption.exportingSensor) {
+			triggers.push({
+				name: `${account.name} Exporting`,
+				inverter_data: DEF_EXPORT_WATTS,
+				threshold: account.consumption.exportThreshold,
+				hysteresis: account.consumption.exportThreshold / 2
+			});
+		}
+		
+		triggers.forEach(triggerConfig => {
+			const name = triggerConfig["name"];
+			const serviceType = triggerConfig["serviceType"] || SERVICE_OCCUPANCY;
+			
+			const uuid = this.api.hap.uuid.generate(`${PLUGIN_NAME}:${account.key}:trigger:${name}`);
+			activeUUIDs.add(uuid);
+			
+			const accessory = this.setupAccessory(uuid, name, {
+				manufacturer: accountConfig["manufacturer"],
+				model: accountConfig["model"],
+				serial: accountConfig["serial"]
+			}, null, serviceType);
+			this.triggerSensors.push(new TriggerSensor(this.log, accessory.getService(getServiceClass(serviceType)), poller, {
+				...triggerConfig,
+				serviceType: serviceType
+			}));
+		});
+	}
+
+	/**
+	 * Record Eve history for an accessory, or drop a history service left
+	 * over from a configuration that had it enabled
+	 */
+	setupHistory(accessory, poller, enabled) {
+		if (enabled) {
+			new ProductionHistory(FakeGatoHistoryService, accessory, poller, {
+				log: this.log,
+				path: this.api.user.storagePath(),
+				filename: `${PLUGIN_NAME}_${accessory.UUID}_persist.json`,
+				readPower: readings => readings.watts
+			});
+			return;
+		}
+		
+		const historyService = accessory.services.find(service => service.UUID === FakeGatoHistoryService.UUID);
+		if (historyService) {
+			accessory.removeService(historyService);
+		}
+	}
+
+	/**
+	 * Create accessories for inverters (or channels) seen for the first time
+	 */
+	addInverterAccessories(account, poller, readings) {
+		(readings.inverters || []).forEach(inverter => {
+			const channels = account.inverterAccessories === INVERTER_ACCESSORIES_CHANNEL
+				? inverter.power.map((power, index) => index + 1)
+				: [null];
+			
+			channels.forEach(channel => {
+				const id = channel ? `${inverter.uid}-${channel}` : inverter.uid;
+				const uuid = this.api.hap.uuid.generate(`${PLUGIN_NAME}:${account.key}:inverter:${id}`);
+				if (this.cachedAccessories.has(uuid)) {
+					return;
+				}
+				
+				const name = `${account.name} Inverter ${inverter.uid}${channel ? ` Channel ${channel}` : ''}`;
+				this.setupInverterAccessory(uuid, name, {
+					accountKey: account.key,
+					inverterAccessories: account.inverterAccessories,
+					uid: inverter.uid,
+					channel: channel
+				}, poller, account.serviceType);
+			});
+		});
+	}
+
+	/**
+	 * Restore or create an inverter accessory with the service of the current
+	 * serviceType, and attach its sensor
+	 *
+	 * @param {uuid} Accessory UUID
+	 * @param {name} Accessory name
+	 * @param {context} { accountKey, inverterAccessories, uid, channel }
+	 * @param {poller} InverterPoller of the account
+	 * @param {serviceType} Representation, see getServiceClass
+	 */
+	setupInverterAccessory(uuid, name, context, poller, serviceType) {
+		const { uid, channel } = context;
+		const accessory = this.setupAccessory(uuid, name, {
+			model: "Microinverter",
+			serial: channel ? `${uid}-${channel}` : uid
+		}, context, serviceType);
+		new InverterSensor(this.log, accessory.getService(getServiceClass(serviceType)), poller, {
+			inverter_data: DEF_Watts,
+			uid: uid,
+			channel: channel,
+			serviceType: serviceType
+		});
+	}
+}
+
+class APSystemsInverter {
+    constructor(log, config, api) {
+    	this.log = log;
     	
-    	// Validate that demo credentials are provided
-    	if (!this.demoLoginUrl && !this.demoUserId) {
-    		this.log.error('demoUserId or demoLoginUrl must be provided');
-    		throw new Error('demoUserId or demoLoginUrl must be provided');
+    	// Checks every option, migrates old configs and lists all problems at once
+    	let account;
+    	try {
+    		account = buildAccount(config, log, { accessory: true });
+    	} catch (error) {
+    		this.log.error(error.message);
+    		throw error;
     	}
+    	this.config = account.config;
+
+    	this.service = new (getServiceClass(this.config["serviceType"]))(this.config.name);
+
+    	this.name = this.config["name"];
+    	this.manufacturer = this.config["manufacturer"] || "AP Systems";
+	    this.model = this.config["model"] || "Inverter";
+	    this.serial = this.config["serial"] || "APSystems-inverter";
+	    this.inverter_data = this.config["inverter_data"];
     	
-    	// If demoLoginUrl is not provided but demoUserId is, build the URL
-    	if (!this.demoLoginUrl && this.demoUserId) {
-    		this.demoLoginUrl = buildDemoLoginUrl(this.demoUserId);
+    	// Accessories for the same account share one poller
+    	const cache = api ? getReadingsCache(api.user.storagePath(), log) : null;
+    	this.poller = getSharedPoller(log, account, cache);
+    	if (api) {
+    		api.on('shutdown', () => stopSharedPoller(account.key));
     	}
     }
 
@@ -618,48 +2395,49 @@ class APSystemsInverter {
         .setCharacteristic(Characteristic.Model, this.model)
         .setCharacteristic(Characteristic.SerialNumber, this.serial)
 
+	    this.sensor = new InverterSensor(this.log, this.service, this.poller, this.config);
 
-        this.service.getCharacteristic(Characteristic.CurrentAmbientLightLevel)
-		  .on('get', this.getCurrentAmbientLightLevelHandler.bind(this))
-		  .setProps({
-			minValue: this.minLux
-		  });
+	    const services = [informationService, this.service];
+	    
+	    if (recordsHistory(this.config["history"], this.config["serviceType"], this.inverter_data)) {
+	    	this.displayName = this.name;
+	    	this.history = new ProductionHistory(FakeGatoHistoryService, this, this.poller, {
+	    		log: this.log,
+	    		readPower: readings => readings.watts
+	    	});
+	    	services.push(this.history.service);
+	    } else if (this.config["history"] === true) {
+	    	this.log.warn(`${this.name}: Eve history is only recorded for ${DEF_Watts} accessories with serviceType "outlet"`);
+	    }
 
-	    return [informationService, this.service]
+	    return services
     }
+}
 
-    async getCurrentAmbientLightLevelHandler (callback) {
-		try {
-			if (this.useLegacyApi) {
-				if (!this.ecuId) {
-					this.log.error('ECU ID (ecuId) is required for legacy API');
-					callback(new Error('ECU ID is required'));
-					return;
-				}
-			}
-			// Web dashboard API will auto-login to demo user
-			
-			let getValue = await getAccessoryValue(
-				this.inverter_data,
-				this.useLegacyApi,
-				this.ecuId,
-				this.demoLoginUrl,
-				this.demoUserId
-			);
+// Helpers for the Homebridge UI server (homebridge-ui/server.js)
+module.exports.testConnection = testConnection;
+module.exports.describeFault = describeFault;
 
-			this.log(`Current ${this.inverter_data}:`, getValue);
+// Accessory parts, for the tests
+module.exports.TriggerSensor = TriggerSensor;
 
-			callback(null, getValue);
-		} catch (error) {
-			// Provide helpful error message for legacy API 404 errors
-			if (error.response && error.response.status === 404 && this.useLegacyApi) {
-				this.log.error('Legacy API endpoint returned 404 - the endpoint appears to be deprecated.');
-				this.log.error('Please update your config: remove "useLegacyApi: true" and ensure "demoUserId" is set.');
-				callback(new Error('Legacy API endpoint not found. Please use web dashboard API with demoUserId instead.'));
-			} else {
-				this.log.error('Error getting inverter value:', error.message);
-				callback(error);
-			}
-		}
-	}
-}
+// Used by the apsystems-inverter command and the tests to check each step of a connection
+module.exports.buildAccount = buildAccount;
+module.exports.buildDemoLoginUrl = buildDemoLoginUrl;
+module.exports.createApiClient = createApiClient;
+module.exports.getDemoSessionCookies = getDemoSessionCookies;
+module.exports.getAccountSessionCookies = getAccountSessionCookies;
+module.exports.getDashboardData = getDashboardData;
+module.exports.getInverterData = getInverterData;
+module.exports.getInverterReadings = getInverterReadings;
+module.exports.signOpenApiRequest = signOpenApiRequest;
+module.exports.parseDashboardReadings = parseDashboardReadings;
+module.exports.parseDashboardMonthlyReadings = parseDashboardMonthlyReadings;
+module.exports.parseDashboardPower = parseDashboardPower;
+module.exports.parseDashboardPowerCurve = parseDashboardPowerCurve;
+module.exports.parseDashboardLifetime = parseDashboardLifetime;
+module.exports.parseLegacyReadings = parseLegacyReadings;
+module.exports.DASHBOARD_DAILY_ENERGY_ENDPOINT = DASHBOARD_DAILY_ENERGY_ENDPOINT;
+module.exports.DASHBOARD_MONTHLY_ENERGY_ENDPOINT = DASHBOARD_MONTHLY_ENERGY_ENDPOINT;
+module.exports.DASHBOARD_PRODUCTION_INFO_ENDPOINT = DASHBOARD_PRODUCTION_INFO_ENDPOINT;
+module.exports.DASHBOARD_POWER_CURVE_ENDPOINT = DASHBOARD_POWER_CURVE_ENDPOINT;
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_FILENAME = 'homebridge-apsystem-inverter-cache.json';
+
+/**
+ * Last readings of every account, persisted as one JSON file under the
+ * Homebridge storage path so they survive restarts and cloud outages
+ */
+class ReadingsCache {
+	/**
+	 * @param {storagePath} Homebridge storage directory
+	 * @param {log} Homebridge logger
+	 */
+	constructor(storagePath, log) {
+		this.file = path.join(storagePath, CACHE_FILENAME);
+		this.log = log;
+		this.entries = {};
+		this.writing = false;
+		this.writeAgain = false;
+		
+		try {
+			this.entries = JSON.parse(fs.readFileSync(this.file, 'utf8')) || {};
+		} catch (error) {
+			if (error.code !== 'ENOENT') {
+				this.log.warn(`Ignoring unreadable readings cache ${this.file}:`, error.message);
+			}
+		}
+	}
+
+	/**
+	 * @param {key} Account key
+	 * @returns {object} Cached readings with their timestamp, or null
+	 */
+	get(key) {
+		const readings = this.entries[key];
+		return readings && readings.timestamp ? readings : null;
+	}
+
+	/**
+	 * @param {key} Account key
+	 * @param {readings} Readings with their timestamp
+	 */
+	set(key, readings) {
+		this.entries[key] = readings;
+		this.save();
+	}
+
+	/**
+	 * Write the cache through a temporary file, one write at a time
+	 */
+	save() {
+		if (this.writing) {
+			this.writeAgain = true;
+			return;
+		}
+		this.writing = true;
+		
+		const temporaryFile = `${this.file}.tmp`;
+		fs.writeFile(temporaryFile, JSON.stringify(this.entries), 'utf8', (writeError) => {
+			const done = (error) => {
+				if (error) {
+					this.log.warn(`Failed to write readings cache ${this.file}:`, error.message);
+				}
+				this.writing = false;
+				if (this.writeAgain) {
+					this.writeAgain = false;
+					this.save();
+				}
+			};
+			
+			if (writeError) {
+				done(writeError);
+			} else {
+				fs.rename(temporaryFile, this.file, done);
+			}
+		});
+	}
+}
+
+// One cache per storage path, shared by all pollers writing to it
+const caches = new Map();
+
+/**
+ * @param {storagePath} Homebridge storage directory
+ * @param {log} Homebridge logger
+ * @returns {ReadingsCache} The cache for that directory
+ */
+const getReadingsCache = (storagePath, log) => {
+	let cache = caches.get(storagePath);
+	if (!cache) {
+		cache = new ReadingsCache(storagePath, log);
+		caches.set(storagePath, cache);
+	}
+	return cache;
+}
+
+module.exports = {
+	ReadingsCache,
+	getReadingsCache
+};
@@ -0,0 +1,690 @@
+// Configuration options, their validation and the migration of older configs
+const { isValidTimezone } = require('./site-time');
+const { parseClock } = require('./derived');
+const { MEASURES, MIN_METER_INTERVAL } = require('./consumption');
+
+const DEF_Watts = "Watts";
+const DEF_KWH = "Kwh";
+const DEF_YESTERDAY_KWH = "YesterdayKwh";
+const DEF_MONTH_KWH = "MonthKwh";
+const DEF_YEAR_KWH = "YearKwh";
+const DEF_LIFETIME_KWH = "LifetimeKwh";
+const DEF_PEAK_WATTS = "PeakWatts";
+const DEF_PEAK_TIME = "PeakTime";
+const DEF_SAVINGS = "Savings";
+const DEF_MONTH_SAVINGS = "MonthSavings";
+const DEF_LIFETIME_SAVINGS = "LifetimeSavings";
+const DEF_FEED_IN_CREDIT = "FeedInCredit";
+const DEF_MONTH_FEED_IN_CREDIT = "MonthFeedInCredit";
+const DEF_LIFETIME_FEED_IN_CREDIT = "LifetimeFeedInCredit";
+const DEF_CO2_AVOIDED = "Co2Avoided";
+const DEF_MONTH_CO2_AVOIDED = "MonthCo2Avoided";
+const DEF_LIFETIME_CO2_AVOIDED = "LifetimeCo2Avoided";
+const DEF_CONSUMPTION_WATTS = "ConsumptionWatts";
+const DEF_EXPORT_WATTS = "ExportWatts";
+const DEF_IMPORT_WATTS = "ImportWatts";
+const DEF_SELF_CONSUMPTION_RATIO = "SelfConsumptionRatio";
+
+// Reading each inverter_data value is served from
+const READING_KEYS = {
+	[DEF_Watts]: 'watts',
+	[DEF_KWH]: 'kwh',
+	[DEF_YESTERDAY_KWH]: 'yesterdayKwh',
+	[DEF_MONTH_KWH]: 'monthKwh',
+	[DEF_YEAR_KWH]: 'yearKwh',
+	[DEF_LIFETIME_KWH]: 'lifetimeKwh',
+	[DEF_PEAK_WATTS]: 'peakWatts',
+	// Hours since midnight at the site, 13.5 for 13:30
+	[DEF_PEAK_TIME]: 'peakHour',
+	// Derived by lib/derived.js from the energy readings
+	[DEF_SAVINGS]: 'savings',
+	[DEF_MONTH_SAVINGS]: 'monthSavings',
+	[DEF_LIFETIME_SAVINGS]: 'lifetimeSavings',
+	[DEF_FEED_IN_CREDIT]: 'feedInCredit',
+	[DEF_MONTH_FEED_IN_CREDIT]: 'monthFeedInCredit',
+	[DEF_LIFETIME_FEED_IN_CREDIT]: 'lifetimeFeedInCredit',
+	[DEF_CO2_AVOIDED]: 'co2Avoided',
+	[DEF_MONTH_CO2_AVOIDED]: 'monthCo2Avoided',
+	[DEF_LIFETIME_CO2_AVOIDED]: 'lifetimeCo2Avoided',
+	// Balance with the consumption meter, see lib/consumption.js
+	[DEF_CONSUMPTION_WATTS]: 'consumptionWatts',
+	[DEF_EXPORT_WATTS]: 'exportWatts',
+	[DEF_IMPORT_WATTS]: 'importWatts',
+	// Percentage of the current production used at home
+	[DEF_SELF_CONSUMPTION_RATIO]: 'selfConsumptionRatio'
+};
+
+// Data types in whole watts
+const POWER_DATA_TYPES = [DEF_Watts, DEF_PEAK_WATTS, DEF_CONSUMPTION_WATTS, DEF_EXPORT_WATTS, DEF_IMPORT_WATTS];
+// Data types that follow the consumption meter between polls
+const BALANCE_DATA_TYPES = [DEF_CONSUMPTION_WATTS, DEF_EXPORT_WATTS, DEF_IMPORT_WATTS, DEF_SELF_CONSUMPTION_RATIO];
+
+// Derived data types and the option each needs
+const DERIVED_DATA_OPTIONS = {
+	[DEF_SAVINGS]: 'tariff',
+	[DEF_MONTH_SAVINGS]: 'tariff',
+	[DEF_LIFETIME_SAVINGS]: 'tariff',
+	[DEF_FEED_IN_CREDIT]: 'feedInTariff',
+	[DEF_MONTH_FEED_IN_CREDIT]: 'feedInTariff',
+	[DEF_LIFETIME_FEED_IN_CREDIT]: 'feedInTariff',
+	[DEF_CO2_AVOIDED]: 'co2Factor',
+	[DEF_MONTH_CO2_AVOIDED]: 'co2Factor',
+	[DEF_LIFETIME_CO2_AVOIDED]: 'co2Factor',
+	[DEF_CONSUMPTION_WATTS]: 'consumption',
+	[DEF_EXPORT_WATTS]: 'consumption',
+	[DEF_IMPORT_WATTS]: 'consumption',
+	[DEF_SELF_CONSUMPTION_RATIO]: 'consumption'
+};
+
+// Data sources an account can read from
+const SOURCE_DASHBOARD = 'dashboard';
+const SOURCE_LEGACY = 'legacy';
+const SOURCE_OPENAPI = 'openapi';
+const SOURCE_LOCAL = 'local';
+const SOURCES = [SOURCE_DASHBOARD, SOURCE_LEGACY, SOURCE_OPENAPI, SOURCE_LOCAL];
+
+// HomeKit representations an accessory can use
+const SERVICE_LIGHT_SENSOR = 'lightsensor';
+const SERVICE_OUTLET = 'outlet';
+// Generation triggers are shown as one of these
+const SERVICE_OCCUPANCY = 'occupancy';
+const SERVICE_CONTACT = 'contact';
+const SERVICE_SWITCH = 'switch';
+const SENSOR_SERVICES = [SERVICE_LIGHT_SENSOR, SERVICE_OUTLET];
+const TRIGGER_SERVICES = [SERVICE_OCCUPANCY, SERVICE_CONTACT, SERVICE_SWITCH];
+
+// Per-inverter accessories: none, one per inverter, or one per inverter channel (panel)
+const INVERTER_ACCESSORIES_NONE = 'none';
+const INVERTER_ACCESSORIES_INVERTER = 'inverter';
+const INVERTER_ACCESSORIES_CHANNEL = 'channel';
+const INVERTER_ACCESSORIES = [INVERTER_ACCESSORIES_NONE, INVERTER_ACCESSORIES_INVERTER, INVERTER_ACCESSORIES_CHANNEL];
+
+// Poll schedule (seconds)
+const DEF_POLL_INTERVAL = 300;
+const MIN_POLL_INTERVAL = 60;
+// Between sunset and sunrise, when the site has a location
+const DEF_NIGHT_POLL_INTERVAL = 3600;
+// Failed polls in a row before accessories show "No Response"
+const DEF_NO_RESPONSE_AFTER = 3;
+
+// Address of the legacy API, configurable before 0.6 and fixed since
+const LEGACY_API_OPTIONS = ['apiBaseUrl', 'apiPath', 'apiPort'];
+
+// Options an account understands, whether it is an entry of "accounts", the
+// platform itself or an accessory
+const ACCOUNT_OPTIONS = [
+	'name', 'dataSource', 'useLegacyApi', 'ecuId',
+	'username', 'password', 'demoUserId', 'demoLoginUrl',
+	'appId', 'appSecret', 'sid', 'eid',
+	'ecuHost', 'ecuPort',
+	'pollInterval', 'cacheTtl', 'noResponseAfter', 'timezone',
+	'latitude', 'longitude', 'nightPollInterval',
+	'tariff', 'tariffPeriods', 'feedInTariff', 'selfConsumption', 'co2Factor', 'currency',
+	'consumption',
+	'serviceType', 'history', 'inverterAccessories', 'sensors', 'triggers',
+	'manufacturer', 'model', 'serial',
+	// Documented for the legacy API before 0.6, accepted with a deprecation warning
+	...LEGACY_API_OPTIONS,
+	// Added by Homebridge and the Homebridge UI
+	'platform', 'accessory', '_bridge'
+];
+const PLATFORM_OPTIONS = ['accounts', 'metricsPort', 'metricsHost', 'mqtt'];
+const ACCESSORY_OPTIONS = ['inverter_data', 'min_lux', 'max_lux'];
+const CONSUMPTION_OPTIONS = ['url', 'topic', 'path', 'measures', 'interval', 'username', 'password', 'exportingSensor', 'exportThreshold'];
+const MQTT_OPTIONS = ['url', 'username', 'password', 'topicPrefix', 'retain', 'qos', 'homeAssistant', 'discoveryPrefix'];
+
+/**
+ * Start an empty validation result
+ *
+ * @param {config} Configuration being validated, copied so migrations never change the original
+ */
+const createResult = (config) => ({
+	config: { ...config },
+	errors: [],
+	warnings: [],
+	migrations: []
+});
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Whole number from a number or a numeric string, NaN otherwise
+ */
+const toInteger = (value) => {
+	if (typeof value === 'string' && /^\s*\d+\s*$/.test(value)) {
+		return parseInt(value);
+	}
+	return Number.isInteger(value) ? value : NaN;
+}
+
+const isPort = (value) => toInteger(value) > 0 && toInteger(value) < 65536;
+
+/**
+ * Warn about options nobody reads, which are usually typos
+ */
+const checkUnknownOptions = (result, config, knownOptions, path) => {
+	Object.keys(config).forEach(option => {
+		if (!knownOptions.includes(option)) {
+			result.warnings.push(`${path}Unknown option "${option}" is ignored`);
+		}
+	});
+}
+
+/**
+ * Check an inverter_data value, fixing its case
+ *
+ * @returns {string} The matching data type, or null if there is none
+ */
+const checkDataType = (result, value, path) => {
+	if (READING_KEYS[value]) {
+		return value;
+	}
+
+	const match = Object.keys(READING_KEYS).find(dataType => dataType.toLowerCase() === String(value).toLowerCase());
+	if (match) {
+		result.migrations.push(`${path}inverter_data "${value}" is read as "${match}"`);
+		return match;
+	}
+
+	result.errors.push(`${path}inverter_data "${value}" is not one of ${Object.keys(READING_KEYS).join(', ')}`);
+	return null;
+}
+
+/**
+ * Check a whole-number option, clamping values below its minimum
+ */
+const checkInteger = (result, config, option, minimum, path) => {
+	if (!isSet(config[option])) {
+		return;
+	}
+	const value = toInteger(config[option]);
+	if (isNaN(value)) {
+		result.errors.push(`${path}${option} must be a whole number, got ${JSON.stringify(config[option])}`);
+	} else if (value < minimum) {
+		result.warnings.push(`${path}${option} ${value} is below the minimum, ${minimum} is used`);
+		result.config[option] = minimum;
+	}
+}
+
+/**
+ * Check the site location used for the night schedule: both coordinates or
+ * neither, as numbers, stored as numbers
+ */
+const checkLocation = (result, config, path) => {
+	const bounds = { latitude: 90, longitude: 180 };
+	const set = Object.keys(bounds).filter(option => isSet(config[option]));
+	Object.keys(bounds).forEach(option => {
+		if (!isSet(config[option])) {
+			delete config[option];
+		}
+	});
+	if (set.length === 0) {
+		return;
+	}
+	if (set.length === 1) {
+		result.errors.push(`${path}latitude and longitude must be set together, ${set[0]} alone does not give a location`);
+		return;
+	}
+
+	set.forEach(option => {
+		const value = typeof config[option] === 'string' && config[option].trim() !== '' ? Number(config[option]) : config[option];
+		if (typeof value !== 'number' || isNaN(value) || Math.abs(value) > bounds[option]) {
+			result.errors.push(`${path}${option} must be a number of degrees between -${bounds[option]} and ${bounds[option]}, got ${JSON.stringify(config[option])}`);
+		} else {
+			config[option] = value;
+		}
+	});
+}
+
+/**
+ * Check the tariffs, self-consumption and CO2 factor the derived data types
+ * are computed with
+ */
+const checkDerivedSettings = (result, config, path) => {
+	['tariff', 'feedInTariff', 'co2Factor'].forEach(option => {
+		if (isSet(config[option]) && !(typeof config[option] === 'number' && config[option] >= 0)) {
+			result.errors.push(`${path}${option} must be a number of at least 0, got ${JSON.stringify(config[option])}`);
+		}
+	});
+	if (isSet(config["selfConsumption"]) && !(typeof config["selfConsumption"] === 'number' && config["selfConsumption"] >= 0 && config["selfConsumption"] <= 100)) {
+		result.errors.push(`${path}selfConsumption must be a percentage from 0 to 100`);
+	}
+	if (isSet(config["feedInTariff"]) && !isSet(config["selfConsumption"])) {
+		result.warnings.push(`${path}feedInTariff is set without selfConsumption, so all production counts as used at home and the feed-in credit stays 0`);
+	}
+
+	const periods = config["tariffPeriods"];
+	if (!isSet(periods)) {
+		return;
+	}
+	if (!Array.isArray(periods)) {
+		result.errors.push(`${path}tariffPeriods must be a list`);
+		return;
+	}
+	if (!isSet(config["tariff"])) {
+		result.errors.push(`${path}tariffPeriods need a tariff, the price outside the periods`);
+	}
+	periods.forEach((period, index) => {
+		const periodPath = `${path}tariffPeriods[${index}]: `;
+		['from', 'to'].forEach(option => {
+			if (parseClock(period[option]) === null) {
+				result.errors.push(`${periodPath}${option} must be a time such as "17:00", got ${JSON.stringify(period[option])}`);
+			}
+		});
+		if (!(typeof period["price"] === 'number' && period["price"] >= 0)) {
+			result.errors.push(`${periodPath}price must be a number of at least 0`);
+		}
+	});
+}
+
+/**
+ * Check the consumption meter of an account
+ */
+const checkConsumption = (result, config, path) => {
+	const consumption = config["consumption"];
+	const consumptionPath = `${path}consumption: `;
+	if (typeof consumption !== 'object' || Array.isArray(consumption)) {
+		result.errors.push(`${path}consumption must be an object with at least a url`);
+		return;
+	}
+	const checked = { ...consumption };
+	checkUnknownOptions(result, consumption, CONSUMPTION_OPTIONS, consumptionPath);
+
+	if (!isSet(consumption["url"])) {
+		result.errors.push(`${consumptionPath}url is required, an http:// JSON endpoint or an mqtt:// broker`);
+	} else if (/^(mqtts?|wss?|tcp|ssl):\/\//.test(consumption["url"])) {
+		if (!isSet(consumption["topic"])) {
+			result.errors.push(`${consumptionPath}topic is required to read the meter from MQTT`);
+		}
+	} else if (!/^https?:\/\//.test(consumption["url"])) {
+		result.errors.push(`${consumptionPath}url "${consumption["url"]}" must start with http://, https://, mqtt:// or mqtts://`);
+	}
+	if (isSet(consumption["measures"]) && !MEASURES.includes(consumption["measures"])) {
+		result.errors.push(`${consumptionPath}measures "${consumption["measures"]}" is not one of ${MEASURES.join(', ')}`);
+	}
+	if (isSet(consumption["exportingSensor"]) && typeof consumption["exportingSensor"] !== 'boolean') {
+		result.errors.push(`${consumptionPath}exportingSensor must be true or false`);
+	}
+	if (isSet(consumption["exportThreshold"]) && !(typeof consumption["exportThreshold"] === 'number' && consumption["exportThreshold"] > 0)) {
+		result.errors.push(`${consumptionPath}exportThreshold must be a number above 0 (W)`);
+	}
+
+	if (isSet(consumption["interval"])) {
+		const interval = toInteger(consumption["interval"]);
+		if (isNaN(interval)) {
+			result.errors.push(`${consumptionPath}interval must be a whole number of seconds, got ${JSON.stringify(consumption["interval"])}`);
+		} else if (interval < MIN_METER_INTERVAL) {
+			result.warnings.push(`${consumptionPath}interval ${interval} is below the minimum, ${MIN_METER_INTERVAL} is used`);
+			checked["interval"] = MIN_METER_INTERVAL;
+		}
+	}
+	config["consumption"] = checked;
+}
+
+/**
+ * Warn about derived data types whose tariff or factor is not set
+ */
+const checkDerivedDataTypes = (result, config, path) => {
+	const dataTypes = [config["inverter_data"]]
+		.concat((Array.isArray(config["sensors"]) ? config["sensors"] : []).map(sensor => sensor["inverter_data"]))
+		.concat((Array.isArray(config["triggers"]) ? config["triggers"] : []).map(trigger => trigger["inverter_data"]));
+	const missing = new Set();
+	dataTypes.forEach(dataType => {
+		const option = DERIVED_DATA_OPTIONS[dataType];
+		if (option && !isSet(config[option])) {
+			missing.add(`${dataType} needs ${option}`);
+		}
+	});
+	missing.forEach(message => result.warnings.push(`${path}${message}, reporting 0`));
+}
+
+/**
+ * Move configs from before 0.6 to the dataSource they were written for
+ */
+const migrateDataSource = (result) => {
+	const config = result.config;
+	if (isSet(config["dataSource"]) || config["useLegacyApi"] === true) {
+		return;
+	}
+
+	const hasDashboardLogin = isSet(config["username"]) || isSet(config["demoUserId"]) || isSet(config["demoLoginUrl"]);
+
+	// 0.5 read the OpenAPI v2 whenever its credentials were set
+	if (isSet(config["appId"]) && isSet(config["appSecret"]) && !hasDashboardLogin) {
+		config["dataSource"] = SOURCE_OPENAPI;
+		result.migrations.push('appId and appSecret without "dataSource" is a 0.5 OpenAPI configuration: using "dataSource": "openapi". Set it in the configuration to silence this message.');
+		return;
+	}
+
+	// Before 0.5 an ECU ID was all the legacy API needed
+	if (isSet(config["ecuId"]) && !hasDashboardLogin && !isSet(config["ecuHost"])) {
+		config["dataSource"] = SOURCE_LEGACY;
+		result.migrations.push('ecuId without a dashboard login is a configuration from before 0.6: using "dataSource": "legacy". Set it in the configuration, or add a demoUserId to use the dashboard instead.');
+	}
+}
+
+/**
+ * Drop the legacy API address options, which nothing reads since 0.6
+ */
+const removeLegacyApiOptions = (result, config, path) => {
+	const set = LEGACY_API_OPTIONS.filter(option => isSet(config[option]));
+	if (set.length === 0) {
+		return;
+	}
+	set.forEach(option => delete config[option]);
+	result.warnings.push(`${path}${set.join(', ')} ${set.length === 1 ? 'is' : 'are'} deprecated and ignored, the legacy API address is fixed since 0.6: remove ${set.length === 1 ? 'it' : 'them'} from the configuration`);
+}
+
+/**
+ * Check the generation triggers of an account
+ */
+const checkTriggers = (result, triggers, path) => {
+	if (!Array.isArray(triggers)) {
+		result.errors.push(`${path}triggers must be a list`);
+		return;
+	}
+
+	result.config["triggers"] = triggers.map((trigger, index) => {
+		const triggerPath = `${path}triggers[${index}]: `;
+		const checked = { ...trigger };
+		if (!isSet(trigger["name"])) {
+			result.errors.push(`${triggerPath}name is required`);
+		}
+		if (typeof trigger["threshold"] !== 'number') {
+			result.errors.push(`${triggerPath}threshold must be a number (W, or kWh for energy values)`);
+		}
+		if (isSet(trigger["inverter_data"])) {
+			checked["inverter_data"] = checkDataType(result, trigger["inverter_data"], triggerPath);
+		}
+		if (isSet(trigger["serviceType"]) && !TRIGGER_SERVICES.includes(trigger["serviceType"])) {
+			result.errors.push(`${triggerPath}serviceType "${trigger["serviceType"]}" is not one of ${TRIGGER_SERVICES.join(', ')}`);
+		}
+		['hysteresis', 'minDwell'].forEach(option => {
+			if (isSet(trigger[option]) && !(typeof trigger[option] === 'number' && trigger[option] >= 0)) {
+				result.errors.push(`${triggerPath}${option} must be a number of at least 0`);
+			}
+		});
+		return checked;
+	});
+}
+
+/**
+ * Check the sensors of an account
+ */
+const checkSensors = (result, sensors, path) => {
+	if (!Array.isArray(sensors)) {
+		result.errors.push(`${path}sensors must be a list`);
+		return;
+	}
+
+	result.config["sensors"] = sensors.map((sensor, index) => {
+		const sensorPath = `${path}sensors[${index}]: `;
+		const checked = { ...sensor };
+		if (!isSet(sensor["name"])) {
+			result.errors.push(`${sensorPath}name is required`);
+		}
+		if (!isSet(sensor["inverter_data"])) {
+			result.errors.push(`${sensorPath}inverter_data is required (${Object.keys(READING_KEYS).join(', ')})`);
+		} else {
+			checked["inverter_data"] = checkDataType(result, sensor["inverter_data"], sensorPath);
+		}
+		if (isSet(sensor["serviceType"]) && !SENSOR_SERVICES.includes(sensor["serviceType"])) {
+			result.errors.push(`${sensorPath}serviceType "${sensor["serviceType"]}" is not one of ${SENSOR_SERVICES.join(', ')}`);
+		}
+		checkLuxRange(result, sensor, sensorPath);
+		return checked;
+	});
+}
+
+const checkLuxRange = (result, config, path) => {
+	['min_lux', 'max_lux'].forEach(option => {
+		if (isSet(config[option]) && typeof config[option] !== 'number') {
+			result.errors.push(`${path}${option} must be a number`);
+		}
+	});
+	if (typeof config["min_lux"] === 'number' && typeof config["max_lux"] === 'number' && config["min_lux"] >= config["max_lux"]) {
+		result.errors.push(`${path}min_lux (${config["min_lux"]}) must be below max_lux (${config["max_lux"]})`);
+	}
+}
+
+/**
+ * Check every option of an account and migrate configs from before 0.6
+ *
+ * @param {config} Account configuration: an "accounts" entry, the platform itself or an accessory
+ * @param {options} { accessory: true for an accessory config, platform: true when the config is the platform itself, path: prefix for messages }
+ * @returns {object} { config, errors, warnings, migrations } where config is the migrated copy
+ */
+const validateAccountConfig = (config, options = {}) => {
+	const path = options.path || '';
+	const result = createResult(config || {});
+	const checked = result.config;
+
+	checkUnknownOptions(result, checked, [
+		...ACCOUNT_OPTIONS,
+		...(options.accessory ? ACCESSORY_OPTIONS : []),
+		...(options.platform ? PLATFORM_OPTIONS : [])
+	], path);
+
+	if (isSet(checked["useLegacyApi"]) && typeof checked["useLegacyApi"] !== 'boolean') {
+		result.errors.push(`${path}useLegacyApi must be true or false, got ${JSON.stringify(checked["useLegacyApi"])}`);
+	}
+	if (checked["useLegacyApi"] === true && isSet(checked["dataSource"]) && checked["dataSource"] !== SOURCE_LEGACY) {
+		result.errors.push(`${path}useLegacyApi is true but dataSource is "${checked["dataSource"]}": remove one of them`);
+	}
+
+	migrateDataSource(result);
+	removeLegacyApiOptions(result, checked, path);
+
+	const dataSource = checked["dataSource"] || (checked["useLegacyApi"] === true ? SOURCE_LEGACY : SOURCE_DASHBOARD);
+	if (!SOURCES.includes(dataSource)) {
+		result.errors.push(`${path}dataSource "${dataSource}" is not one of ${SOURCES.join(', ')}`);
+	}
+
+	if (dataSource === SOURCE_DASHBOARD) {
+		const hasUsername = isSet(checked["username"]);
+		const hasPassword = isSet(checked["password"]);
+		if (hasUsername !== hasPassword) {
+			result.errors.push(`${path}username and password must both be set for an account login`);
+		} else if (!hasUsername && !isSet(checked["demoUserId"]) && !isSet(checked["demoLoginUrl"])) {
+			result.errors.push(`${path}The dashboard data source needs username and password, demoUserId or demoLoginUrl (for the legacy API set "dataSource": "legacy" and ecuId)`);
+		}
+		if (isSet(checked["demoLoginUrl"]) && !/^https?:\/\//.test(checked["demoLoginUrl"])) {
+			result.errors.push(`${path}demoLoginUrl must be a full http(s) link`);
+		}
+		if (isSet(checked["ecuId"])) {
+			result.warnings.push(`${path}ecuId is only used by the legacy and openapi data sources and is ignored by the dashboard`);
+		}
+	}
+
+	if (dataSource === SOURCE_LEGACY) {
+		if (!isSet(checked["ecuId"])) {
+			result.errors.push(`${path}ecuId is required for the legacy API`);
+		} else if (!/^\d{12}$/.test(String(checked["ecuId"]))) {
+			result.warnings.push(`${path}ecuId "${checked["ecuId"]}" does not look like a 12-digit ECU ID`);
+		}
+	}
+
+	if (dataSource === SOURCE_OPENAPI) {
+		['appId', 'appSecret', 'sid'].forEach(option => {
+			if (!isSet(checked[option])) {
+				result.errors.push(`${path}${option} is required for the OpenAPI v2`);
+			}
+		});
+		if (!isSet(checked["eid"]) && !isSet(checked["ecuId"])) {
+			result.errors.push(`${path}eid (or ecuId) is required for the OpenAPI v2`);
+		}
+	}
+
+	if (dataSource === SOURCE_LOCAL) {
+		if (!isSet(checked["ecuHost"])) {
+			result.errors.push(`${path}ecuHost (the ECU IP address) is required for the local data source`);
+		}
+		if (isSet(checked["ecuPort"]) && !isPort(checked["ecuPort"])) {
+			result.errors.push(`${path}ecuPort must be a port number`);
+		}
+	}
+
+	checkInteger(result, checked, 'pollInterval', MIN_POLL_INTERVAL, path);
+	checkInteger(result, checked, 'cacheTtl', MIN_POLL_INTERVAL, path);
+	checkInteger(result, checked, 'noResponseAfter', 1, path);
+	// 0 is allowed and stops polling at night
+	checkInteger(result, checked, 'nightPollInterval', 0, path);
+	if (toInteger(checked["nightPollInterval"]) > 0 && toInteger(checked["nightPollInterval"]) < MIN_POLL_INTERVAL) {
+		result.warnings.push(`${path}nightPollInterval ${checked["nightPollInterval"]} is below the minimum, ${MIN_POLL_INTERVAL} is used (0 stops polling at night)`);
+		checked["nightPollInterval"] = MIN_POLL_INTERVAL;
+	}
+	checkLocation(result, checked, path);
+	if (isSet(checked["nightPollInterval"]) && !isSet(checked["latitude"])) {
+		result.warnings.push(`${path}nightPollInterval needs latitude and longitude to know when it is night, it is ignored`);
+	}
+
+	if (isSet(checked["timezone"]) && (typeof checked["timezone"] !== 'string' || !isValidTimezone(checked["timezone"]))) {
+		result.warnings.push(`${path}timezone ${JSON.stringify(checked["timezone"])} is not an IANA timezone such as "Europe/Amsterdam", the Homebridge host's timezone is used`);
+		delete checked["timezone"];
+	}
+
+	if (isSet(checked["serviceType"]) && !SENSOR_SERVICES.includes(checked["serviceType"])) {
+		result.errors.push(`${path}serviceType "${checked["serviceType"]}" is not one of ${SENSOR_SERVICES.join(', ')}`);
+	}
+	if (isSet(checked["history"]) && typeof checked["history"] !== 'boolean') {
+		result.errors.push(`${path}history must be true or false`);
+	}
+
+	if (isSet(checked["inverterAccessories"])) {
+		if (!INVERTER_ACCESSORIES.includes(checked["inverterAccessories"])) {
+			result.errors.push(`${path}inverterAccessories "${checked["inverterAccessories"]}" is not one of ${INVERTER_ACCESSORIES.join(', ')}`);
+		} else if (checked["inverterAccessories"] !== INVERTER_ACCESSORIES_NONE && ![SOURCE_LOCAL, SOURCE_OPENAPI].includes(dataSource)) {
+			result.warnings.push(`${path}Per-inverter accessories need the local or openapi data source, inverterAccessories is ignored`);
+			checked["inverterAccessories"] = INVERTER_ACCESSORIES_NONE;
+		}
+	}
+
+	if (isSet(checked["sensors"])) {
+		checkSensors(result, checked["sensors"], path);
+	}
+	if (isSet(checked["triggers"])) {
+		checkTriggers(result, checked["triggers"], path);
+	}
+
+	if (options.accessory) {
+		if (!isSet(checked["inverter_data"])) {
+			result.errors.push(`${path}inverter_data is required (${Object.keys(READING_KEYS).join(', ')})`);
+		} else {
+			checked["inverter_data"] = checkDataType(result, checked["inverter_data"], path);
+		}
+		checkLuxRange(result, checked, path);
+	}
+
+	checkDerivedSettings(result, checked, path);
+	if (isSet(checked["consumption"])) {
+		checkConsumption(result, checked, path);
+	}
+	checkDerivedDataTypes(result, checked, path);
+
+	return result;
+}
+
+/**
+ * Check the platform-wide options: metrics server and MQTT
+ * Accounts are checked one by one with validateAccountConfig
+ *
+ * @param {config} Platform configuration
+ * @returns {object} { config, errors, warnings, migrations }
+ */
+const validatePlatformConfig = (config) => {
+	const result = createResult(config || {});
+	const checked = result.config;
+
+	if (isSet(checked["accounts"]) && !Array.isArray(checked["accounts"])) {
+		result.errors.push('accounts must be a list');
+	}
+
+	if (isSet(checked["metricsPort"]) && !isPort(checked["metricsPort"])) {
+		result.errors.push('metricsPort must be a port number, the metrics server is not started');
+		delete checked["metricsPort"];
+	}
+
+	const mqtt = checked["mqtt"];
+	if (isSet(mqtt)) {
+		const before = result.errors.length;
+		if (typeof mqtt !== 'object') {
+			result.errors.push('mqtt must be an object with at least a url');
+		} else {
+			checkUnknownOptions(result, mqtt, MQTT_OPTIONS, 'mqtt: ');
+			if (!isSet(mqtt["url"])) {
+				result.errors.push('mqtt: url is required, for example "mqtt://192.168.1.10:1883"');
+			} else if (!/^(mqtts?|wss?|tcp|ssl):\/\//.test(mqtt["url"])) {
+				result.errors.push(`mqtt: url "${mqtt["url"]}" must start with mqtt://, mqtts://, ws:// or wss://`);
+			}
+			if (isSet(mqtt["qos"]) && ![0, 1, 2].includes(mqtt["qos"])) {
+				result.errors.push('mqtt: qos must be 0, 1 or 2');
+			}
+		}
+		if (result.errors.length > before) {
+			result.errors.push('MQTT publishing is not started');
+			delete checked["mqtt"];
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Log what validation found: migrations as information, then warnings and errors
+ *
+ * @param {log} Homebridge logger
+ * @param {prefix} Prefix for every message, such as the account name
+ * @param {result} Result of validateAccountConfig or validatePlatformConfig
+ */
+const logValidationResult = (log, prefix, result) => {
+	result.migrations.forEach(message => log(`${prefix}${message}`));
+	result.warnings.forEach(message => log.warn(`${prefix}${message}`));
+	result.errors.forEach(message => log.error(`${prefix}${message}`));
+}
+
+module.exports = {
+	DEF_Watts,
+	DEF_KWH,
+	DEF_YESTERDAY_KWH,
+	DEF_MONTH_KWH,
+	DEF_YEAR_KWH,
+	DEF_LIFETIME_KWH,
+	DEF_PEAK_WATTS,
+	DEF_PEAK_TIME,
+	DEF_SAVINGS,
+	DEF_MONTH_SAVINGS,
+	DEF_LIFETIME_SAVINGS,
+	DEF_FEED_IN_CREDIT,
+	DEF_MONTH_FEED_IN_CREDIT,
+	DEF_LIFETIME_FEED_IN_CREDIT,
+	DEF_CO2_AVOIDED,
+	DEF_MONTH_CO2_AVOIDED,
+	DEF_LIFETIME_CO2_AVOIDED,
+	DEF_CONSUMPTION_WATTS,
+	DEF_EXPORT_WATTS,
+	DEF_IMPORT_WATTS,
+	DEF_SELF_CONSUMPTION_RATIO,
+	READING_KEYS,
+	POWER_DATA_TYPES,
+	BALANCE_DATA_TYPES,
+	DERIVED_DATA_OPTIONS,
+	SOURCE_DASHBOARD,
+	SOURCE_LEGACY,
+	SOURCE_OPENAPI,
+	SOURCE_LOCAL,
+	SERVICE_LIGHT_SENSOR,
+	SERVICE_OUTLET,
+	SERVICE_OCCUPANCY,
+	SERVICE_CONTACT,
+	SERVICE_SWITCH,
+	INVERTER_ACCESSORIES_NONE,
+	INVERTER_ACCESSORIES_INVERTER,
+	INVERTER_ACCESSORIES_CHANNEL,
+	DEF_POLL_INTERVAL,
+	MIN_POLL_INTERVAL,
+	DEF_NIGHT_POLL_INTERVAL,
+	DEF_NO_RESPONSE_AFTER,
+	validateAccountConfig,
+	validatePlatformConfig,
+	logValidationResult
+};
@@ -0,0 +1,205 @@
+// Household consumption from an energy meter, read from a local HTTP JSON
+// endpoint or an MQTT topic, and its balance with the inverter's production
+const EventEmitter = require('events');
+const axios = require('axios');
+const mqtt = require('mqtt');
+
+// What the meter's value is: the household's consumption, or the power drawn
+// from the grid (negative while exporting)
+const MEASURES_CONSUMPTION = 'consumption';
+const MEASURES_GRID = 'grid';
+const MEASURES = [MEASURES_CONSUMPTION, MEASURES_GRID];
+
+// HTTP meters are read this often (seconds)
+const DEF_METER_INTERVAL = 10;
+const MIN_METER_INTERVAL = 2;
+const METER_TIMEOUT = 5000;
+// A meter value older than this no longer describes the household (milliseconds)
+const METER_STALE_AFTER = 5 * 60 * 1000;
+
+/**
+ * Read the power from a meter message
+ *
+ * @param {data} Parsed JSON, or a plain number
+ * @param {path} Dot-separated path to the value, such as "emeters.0.power"; empty for the message itself
+ * @returns {number} Power in W, or null if the path does not lead to a number
+ */
+const readMeterValue = (data, path) => {
+	let value = data;
+	(path ? String(path).split('.') : []).forEach(key => {
+		value = value != null && typeof value === 'object' ? value[key] : undefined;
+	});
+	const watts = typeof value === 'string' ? parseFloat(value) : value;
+	return typeof watts === 'number' && isFinite(watts) ? watts : null;
+}
+
+/**
+ * Balance of production and consumption at one moment
+ *
+ * @param {productionWatts} Current power of the inverters, or null
+ * @param {meterWatts} Meter reading, or null
+ * @param {measures} MEASURES_CONSUMPTION or MEASURES_GRID, what the meter reading is
+ * @returns {object} { consumptionWatts, exportWatts, importWatts, selfConsumptionRatio } with the
+ * ratio as the percentage of the production used at home (0 while nothing is produced); all null
+ * when either power is unknown
+ */
+const getBalance = (productionWatts, meterWatts, measures) => {
+	if (productionWatts == null || meterWatts == null) {
+		return { consumptionWatts: null, exportWatts: null, importWatts: null, selfConsumptionRatio: null };
+	}
+	const production = Math.max(productionWatts, 0);
+	const consumption = Math.max(measures === MEASURES_GRID ? production + meterWatts : meterWatts, 0);
+	const grid = consumption - production;
+	return {
+		consumptionWatts: Math.round(consumption),
+		exportWatts: Math.round(Math.max(-grid, 0)),
+		importWatts: Math.round(Math.max(grid, 0)),
+		selfConsumptionRatio: production > 0 ? Math.round(Math.min(consumption, production) / production * 100) : 0
+	};
+}
+
+/**
+ * Follows an energy meter and emits 'update' with each new reading, and
+ * 'stale' once the last reading is too old to use
+ */
+class ConsumptionMeter extends EventEmitter {
+	/**
+	 * @param {log} Homebridge logger
+	 * @param {config} { url, topic, path, measures, interval, username, password }: an http(s) URL
+	 * is polled every interval seconds, an MQTT URL is subscribed to at topic
+	 * @param {name} Account name for the log
+	 */
+	constructor(log, config, name) {
+		super();
+		this.log = log;
+		this.config = config;
+		this.name = name;
+		this.watts = null;
+		this.timestamp = null;
+		this.lastError = null;
+		this.running = false;
+		this.stopped = false;
+		this.timer = null;
+		this.staleTimer = null;
+		this.client = null;
+	}
+
+	isHttp() {
+		return /^https?:\/\//.test(this.config.url);
+	}
+
+	start() {
+		this.running = true;
+		if (this.isHttp()) {
+			this.poll();
+			return;
+		}
+
+		this.client = mqtt.connect(this.config.url, {
+			username: this.config.username,
+			password: this.config.password,
+			reconnectPeriod: 10000
+		});
+		this.client.on('connect', () => {
+			this.log(`[${this.name}] Reading consumption from MQTT topic ${this.config.topic}`);
+			this.lastError = null;
+			this.client.subscribe(this.config.topic);
+		});
+		this.client.on('message', (topic, payload) => this.receive(payload.toString()));
+		this.client.on('error', error => this.reportError(error.message));
+	}
+
+	stop() {
+		this.running = false;
+		this.stopped = true;
+		clearTimeout(this.timer);
+		this.timer = null;
+		clearTimeout(this.staleTimer);
+		this.staleTimer = null;
+		if (this.client) {
+			this.client.end();
+			this.client = null;
+		}
+	}
+
+	/**
+	 * Read the HTTP meter, then schedule the next read once this one has
+	 * settled, so a meter slower than the interval is never read twice at once
+	 */
+	async poll() {
+		await this.read();
+		if (this.running) {
+			this.timer = setTimeout(() => this.poll(), (this.config.interval || DEF_METER_INTERVAL) * 1000);
+		}
+	}
+
+	async read() {
+		try {
+			const auth = this.config.username ? { username: this.config.username, password: this.config.password || '' } : undefined;
+			const response = await axios.get(this.config.url, { timeout: METER_TIMEOUT, auth: auth, responseType: 'text' });
+			// A read still open when the meter stopped is dropped
+			if (!this.stopped) {
+				this.receive(response.data);
+			}
+		} catch (error) {
+			this.reportError(error.message);
+		}
+	}
+
+	/**
+	 * @param {message} Meter message as text: JSON, or a plain number
+	 */
+	receive(message) {
+		let data;
+		try {
+			data = JSON.parse(message);
+		} catch (error) {
+			data = message;
+		}
+		const watts = readMeterValue(data, this.config.path);
+		if (watts === null) {
+			this.reportError(`no number at "${this.config.path || '(whole message)'}" in ${String(message).slice(0, 200)}`);
+			return;
+		}
+		if (this.lastError) {
+			this.log(`[${this.name}] Consumption meter readings received again`);
+			this.lastError = null;
+		}
+		this.watts = watts;
+		this.timestamp = Date.now();
+		clearTimeout(this.staleTimer);
+		this.staleTimer = setTimeout(() => {
+			this.staleTimer = null;
+			this.emit('stale');
+		}, METER_STALE_AFTER);
+		this.emit('update', watts);
+	}
+
+	reportError(message) {
+		// A meter that stays away would repeat the same error every interval
+		if (message !== this.lastError) {
+			this.lastError = message;
+			this.log.warn(`[${this.name}] Consumption meter: ${message}`);
+		}
+	}
+
+	/**
+	 * @param {now} Current time in ms
+	 * @returns {number} Last meter reading in W, or null without a recent one
+	 */
+	getWatts(now) {
+		return this.timestamp !== null && now - this.timestamp <= METER_STALE_AFTER ? this.watts : null;
+	}
+}
+
+module.exports = {
+	MEASURES_CONSUMPTION,
+	MEASURES_GRID,
+	MEASURES,
+	DEF_METER_INTERVAL,
+	MIN_METER_INTERVAL,
+	METER_STALE_AFTER,
+	readMeterValue,
+	getBalance,
+	ConsumptionMeter
+};
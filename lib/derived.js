@@ -0,0 +1,150 @@
+// Money and CO2 derived from the energy readings: what the production saved
+// at the household tariff, what the exported part earned and the grid
+// emissions it avoided
+const { getSiteHour } = require('./site-time');
+const { MAX_SAMPLE_GAP } = require('./power-curve');
+
+// Energy reading of each period, and the keys of the values derived from it
+const DERIVED_PERIODS = [
+	{ energy: 'kwh', savings: 'savings', feedInCredit: 'feedInCredit', co2Avoided: 'co2Avoided' },
+	{ energy: 'monthKwh', savings: 'monthSavings', feedInCredit: 'monthFeedInCredit', co2Avoided: 'monthCo2Avoided' },
+	{ energy: 'lifetimeKwh', savings: 'lifetimeSavings', feedInCredit: 'lifetimeFeedInCredit', co2Avoided: 'lifetimeCo2Avoided' }
+];
+
+/**
+ * @param {text} Wall clock as "HH:mm"
+ * @returns {number} Hours since midnight, 17.5 for "17:30", or null if the text is not a time
+ */
+const parseClock = (text) => {
+	const match = String(text).trim().match(/^(\d{1,2}):(\d{2})$/);
+	if (!match || parseInt(match[1]) > 24 || parseInt(match[2]) > 59) {
+		return null;
+	}
+	return parseInt(match[1]) + parseInt(match[2]) / 60;
+}
+
+/**
+ * Price of a kWh bought from the grid at a time
+ *
+ * @param {tariff} { price, periods } where periods is a list of { from, to, price } with
+ * "HH:mm" wall clock times at the site; a period whose end is before its start runs past midnight
+ * @param {time} Time in ms
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @returns {number} Price of the first period the time falls in, the tariff's price outside them
+ */
+const getPrice = (tariff, time, timezone) => {
+	const hour = getSiteHour(time, timezone);
+	const period = (tariff.periods || []).find(({ from, to }) => {
+		const start = parseClock(from);
+		const end = parseClock(to);
+		return start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+	});
+	return period ? period.price : tariff.price;
+}
+
+/**
+ * Average price of today's energy, each part of the power curve at the price
+ * of the time it was produced
+ *
+ * @param {tariff} { price, periods }, see getPrice
+ * @param {curve} Today's power curve [{ time, watts }], or null when the data source has none
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @returns {number} Price per kWh; the tariff's price without periods or a curve
+ */
+const getAveragePrice = (tariff, curve, timezone) => {
+	if (!tariff.periods || tariff.periods.length === 0 || !curve) {
+		return tariff.price;
+	}
+	let energy = 0;
+	let cost = 0;
+	for (let i = 1; i < curve.length; i++) {
+		const interval = curve[i].time - curve[i - 1].time;
+		if (interval > 0 && interval <= MAX_SAMPLE_GAP) {
+			const intervalEnergy = (curve[i - 1].watts + curve[i].watts) / 2 * interval;
+			energy += intervalEnergy;
+			cost += intervalEnergy * getPrice(tariff, curve[i - 1].time + interval / 2, timezone);
+		}
+	}
+	return energy > 0 ? cost / energy : tariff.price;
+}
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * @param {readings} Readings of a poll
+ * @param {settings} { tariff, feedInTariff, selfConsumption, co2Factor, timezone } of the account:
+ * tariff as { price, periods } (see getPrice), feedInTariff per kWh exported, selfConsumption the
+ * percentage of production used at home, co2Factor in kg per kWh of grid power; unset values are null
+ * @returns {object} Savings, feed-in credit and CO2 avoided (kg) of today, this month and
+ * lifetime, null where the energy or the setting is missing
+ */
+const getDerivedReadings = (readings, settings) => {
+	const derived = {};
+	const usedShare = settings.selfConsumption != null ? settings.selfConsumption / 100 : 1;
+
+	DERIVED_PERIODS.forEach(period => {
+		const energy = readings ? readings[period.energy] : null;
+		const known = energy != null;
+		// Only today's energy has a curve telling when it was produced
+		const price = known && settings.tariff && period.energy === 'kwh'
+			? getAveragePrice(settings.tariff, readings.powerCurve, settings.timezone)
+			: settings.tariff && settings.tariff.price;
+
+		derived[period.savings] = known && settings.tariff ? round(energy * usedShare * price) : null;
+		derived[period.feedInCredit] = known && settings.feedInTariff != null ? round(energy * (1 - usedShare) * settings.feedInTariff) : null;
+		// Exported energy displaces grid power as well
+		derived[period.co2Avoided] = known && settings.co2Factor != null ? round(energy * settings.co2Factor) : null;
+	});
+	return derived;
+}
+
+const formatMoney = (value, currency) => currency ? `${value.toFixed(2)} ${currency}` : value.toFixed(2);
+
+/**
+ * @param {key} Readings key
+ * @param {value} Reading
+ * @param {currency} Currency shown with money, e.g. "EUR", or null
+ * @returns {string} The value with its unit when the key is a derived value, otherwise null
+ */
+const formatDerivedValue = (key, value, currency) => {
+	const period = DERIVED_PERIODS.find(entry => [entry.savings, entry.feedInCredit, entry.co2Avoided].includes(key));
+	if (!period) {
+		return null;
+	}
+	return key === period.co2Avoided ? `${value} kg` : formatMoney(value, currency);
+}
+
+/**
+ * Sum up the derived values of an energy reading for the log
+ *
+ * @param {readings} Readings with the derived values
+ * @param {key} Readings key of the energy, such as 'kwh'
+ * @param {currency} Currency shown with money, e.g. "EUR", or null
+ * @returns {string} "saved 3.70 EUR, 4.94 kg CO2 avoided" with the values that are set, or an empty string
+ */
+const describeDerived = (readings, key, currency) => {
+	const period = DERIVED_PERIODS.find(entry => entry.energy === key);
+	if (!period || !readings) {
+		return '';
+	}
+	const parts = [];
+	if (readings[period.savings] != null) {
+		parts.push(`saved ${formatMoney(readings[period.savings], currency)}`);
+	}
+	if (readings[period.feedInCredit] != null) {
+		parts.push(`feed-in credit ${formatMoney(readings[period.feedInCredit], currency)}`);
+	}
+	if (readings[period.co2Avoided] != null) {
+		parts.push(`${readings[period.co2Avoided]} kg CO2 avoided`);
+	}
+	return parts.join(', ');
+}
+
+module.exports = {
+	parseClock,
+	getPrice,
+	getAveragePrice,
+	getDerivedReadings,
+	formatDerivedValue,
+	describeDerived
+};
@@ -0,0 +1,243 @@
+const net = require('net');
+const { FAULT_NETWORK, FAULT_SCHEMA, setFault } = require('./faults');
+
+// ECU-R / ECU-C local TCP protocol
+const ECU_DEFAULT_PORT = 8899;
+const ECU_TIMEOUT = 10000;
+
+// Commands are ASCII frames: "APS" + version + length + command id [+ ECU ID] + "END\n"
+const ECU_QUERY_COMMAND = 'APS1100160001END\n';
+const INVERTER_QUERY_PREFIX = 'APS1100280002';
+const COMMAND_SUFFIX = 'END\n';
+
+/**
+ * Send a command to the ECU and return the raw response frame
+ * The ECU answers every command on a fresh connection with one frame
+ * whose bytes 5-8 hold the frame length (excluding the trailing newline)
+ *
+ * @param {host} ECU IP address or host name
+ * @param {port} ECU port
+ * @param {command} ASCII command frame
+ * @param {timeout} Milliseconds to wait for the full response
+ * @returns {Buffer} Response frame
+ */
+const sendEcuCommand = (host, port, command, timeout = ECU_TIMEOUT) => {
+	return new Promise((resolve, reject) => {
+		const chunks = [];
+		let received = 0;
+		let settled = false;
+		
+		const socket = net.createConnection({ host, port });
+		
+		const finish = (error, frame) => {
+			if (settled) {
+				return;
+			}
+			settled = true;
+			socket.destroy();
+			if (error) {
+				reject(error);
+			} else {
+				resolve(frame);
+			}
+		};
+		
+		socket.setTimeout(timeout, () => finish(new Error(`ECU at ${host}:${port} did not answer within ${timeout}ms`)));
+		socket.on('error', error => finish(error));
+		socket.on('connect', () => socket.write(command));
+		socket.on('data', chunk => {
+			chunks.push(chunk);
+			received += chunk.length;
+			
+			const frame = Buffer.concat(chunks, received);
+			const length = parseInt(frame.slice(5, 9).toString('ascii'), 10);
+			const complete = frame.slice(-COMMAND_SUFFIX.length).toString('ascii') === COMMAND_SUFFIX
+				&& (isNaN(length) || frame.length >= length + 1);
+			if (complete) {
+				finish(null, frame);
+			}
+		});
+		socket.on('end', () => {
+			if (received > 0) {
+				finish(null, Buffer.concat(chunks, received));
+			} else {
+				finish(new Error(`ECU at ${host}:${port} closed the connection without answering`));
+			}
+		});
+	});
+}
+
+/**
+ * Check a response frame against the length it declares
+ *
+ * @param {frame} Response frame
+ * @param {name} Frame description for error messages
+ */
+const checkFrame = (frame, name) => {
+	if (!frame || frame.length < 13 || frame.slice(0, 3).toString('ascii') !== 'APS') {
+		throw new Error(`${name} response is not an ECU frame`);
+	}
+	const length = parseInt(frame.slice(5, 9).toString('ascii'), 10);
+	if (isNaN(length) || length !== frame.length - 1) {
+		throw new Error(`${name} response length ${frame.length - 1} does not match declared length ${frame.slice(5, 9).toString('ascii')}`);
+	}
+}
+
+/**
+ * Parse the ECU system query response
+ *
+ * @param {frame} Response frame to ECU_QUERY_COMMAND
+ * @returns {object} { ecuId, lifetimeKwh, currentPower, todayKwh, inverters, invertersOnline }
+ */
+const parseEcuInfo = (frame) => {
+	checkFrame(frame, 'ECU query');
+	
+	return {
+		ecuId: frame.slice(13, 25).toString('ascii'),
+		lifetimeKwh: frame.readUInt32BE(27) / 10,
+		currentPower: frame.readUInt32BE(31),
+		todayKwh: frame.readUInt32BE(35) / 100,
+		inverters: frame.readUInt16BE(46),
+		invertersOnline: frame.readUInt16BE(48)
+	};
+}
+
+/**
+ * Read the channel block of one inverter; its layout depends on the model,
+ * which is encoded in the first byte of the inverter UID
+ *
+ * @param {frame} Response frame
+ * @param {offset} Offset of the channel block
+ * @param {uid} Inverter UID (hex)
+ * @returns {object} { power: [W per channel], voltage: [V], offset } where offset follows the block
+ */
+const readInverterChannels = (frame, offset, uid) => {
+	const power = [];
+	const voltage = [];
+	const type = uid.slice(0, 2);
+	
+	if (type === '40') {
+		// YC600 / DS3: power and voltage for two channels
+		for (let i = 0; i < 2; i++) {
+			power.push(frame.readUInt16BE(offset));
+			voltage.push(frame.readUInt16BE(offset + 2));
+			offset += 4;
+		}
+	} else if (type === '50') {
+		// YC1000 / QT2: power and voltage for three phases, then a fourth channel power
+		for (let i = 0; i < 3; i++) {
+			power.push(frame.readUInt16BE(offset));
+			voltage.push(frame.readUInt16BE(offset + 2));
+			offset += 4;
+		}
+		power.push(frame.readUInt16BE(offset));
+		offset += 2;
+	} else if (type === '80') {
+		// QS1 / QS1A: one voltage and four channel powers
+		power.push(frame.readUInt16BE(offset));
+		voltage.push(frame.readUInt16BE(offset + 2));
+		offset += 4;
+		for (let i = 0; i < 3; i++) {
+			power.push(frame.readUInt16BE(offset));
+			offset += 2;
+		}
+	} else {
+		throw new Error(`Unsupported inverter type ${type} (UID ${uid})`);
+	}
+	
+	return { power, voltage, offset };
+}
+
+/**
+ * Parse the real-time inverter data response
+ *
+ * @param {frame} Response frame to the inverter query command
+ * @returns {object} { timestamp: "YYYYMMDDhhmmss", inverters: [{ uid, online, frequency, temperature, power, voltage }] }
+ */
+const parseInverterData = (frame) => {
+	checkFrame(frame, 'Inverter query');
+	
+	const status = frame.slice(9, 11).toString('ascii');
+	if (status !== '00') {
+		throw new Error(`Inverter query returned status ${status}`);
+	}
+	
+	const count = frame.readUInt16BE(17);
+	const timestamp = frame.slice(19, 26).toString('hex');
+	const inverters = [];
+	let offset = 26;
+	
+	for (let i = 0; i < count; i++) {
+		const uid = frame.slice(offset, offset + 6).toString('hex');
+		const online = frame.readUInt8(offset + 6) === 1;
+		const frequency = frame.readUInt16BE(offset + 9) / 10;
+		const temperature = frame.readUInt16BE(offset + 11) - 100;
+		const channels = readInverterChannels(frame, offset + 13, uid);
+		
+		inverters.push({
+			uid,
+			online,
+			frequency,
+			temperature,
+			power: channels.power,
+			voltage: channels.voltage
+		});
+		offset = channels.offset;
+	}
+	
+	return { timestamp, inverters };
+}
+
+/**
+ * Query the ECU on the LAN for system and per-inverter real-time data
+ *
+ * @param {host} ECU IP address or host name
+ * @param {port} ECU port (default 8899)
+ * @param {report} Optional object the fault is recorded on when the query fails
+ * @returns {object} { watts, kwh, ecu, inverters } or null on failure
+ */
+const getLocalEcuReadings = async (host, port = ECU_DEFAULT_PORT, report = null) => {
+	let frame;
+	try {
+		frame = await sendEcuCommand(host, port, ECU_QUERY_COMMAND);
+	} catch (error) {
+		console.error(`Error querying ECU at ${host}:${port}:`, error.message);
+		setFault(report, FAULT_NETWORK, error.message);
+		return null;
+	}
+	
+	let ecu;
+	try {
+		ecu = parseEcuInfo(frame);
+	} catch (error) {
+		console.error(`Error parsing ECU data from ${host}:${port}:`, error.message);
+		setFault(report, FAULT_SCHEMA, error.message);
+		return null;
+	}
+	
+	// Per-inverter data is a bonus; system totals are still valid without it
+	let inverters = [];
+	try {
+		const command = `${INVERTER_QUERY_PREFIX}${ecu.ecuId}${COMMAND_SUFFIX}`;
+		inverters = parseInverterData(await sendEcuCommand(host, port, command)).inverters;
+	} catch (error) {
+		console.error('Error reading inverter data from ECU:', error.message);
+	}
+	
+	return {
+		watts: ecu.currentPower,
+		kwh: parseFloat(ecu.todayKwh.toFixed(2)),
+		ecu,
+		inverters
+	};
+}
+
+module.exports = {
+	ECU_DEFAULT_PORT,
+	ECU_QUERY_COMMAND,
+	INVERTER_QUERY_PREFIX,
+	sendEcuCommand,
+	parseEcuInfo,
+	parseInverterData,
+	getLocalEcuReadings
+};
@@ -0,0 +1,46 @@
+// Eve custom characteristics, shown with real units by the Eve and Home+ apps
+const EVE_CURRENT_CONSUMPTION_UUID = 'E863F10D-079E-48FF-8F27-9C2605A29F52';
+const EVE_TOTAL_CONSUMPTION_UUID = 'E863F10C-079E-48FF-8F27-9C2605A29F52';
+const EVE_VOLTAGE_UUID = 'E863F10A-079E-48FF-8F27-9C2605A29F52';
+
+/**
+ * Build the Eve characteristic classes on top of the HAP Characteristic
+ * Homebridge hands to the plugin
+ *
+ * @param {hap} homebridge.hap
+ * @returns {object} { CurrentConsumption, TotalConsumption, Voltage }
+ */
+const createEveCharacteristics = (hap) => {
+	const { Characteristic } = hap;
+	const Formats = hap.Formats || Characteristic.Formats;
+	const Perms = hap.Perms || Characteristic.Perms;
+	
+	const defineCharacteristic = (displayName, uuid, unit, maxValue, minStep) => {
+		const EveCharacteristic = class extends Characteristic {
+			constructor() {
+				super(displayName, uuid);
+				this.setProps({
+					format: Formats.FLOAT,
+					unit: unit,
+					minValue: 0,
+					maxValue: maxValue,
+					minStep: minStep,
+					perms: [Perms.PAIRED_READ || Perms.READ, Perms.NOTIFY]
+				});
+				this.value = this.getDefaultValue();
+			}
+		};
+		EveCharacteristic.UUID = uuid;
+		return EveCharacteristic;
+	};
+	
+	return {
+		CurrentConsumption: defineCharacteristic('Consumption', EVE_CURRENT_CONSUMPTION_UUID, 'W', 100000, 0.1),
+		TotalConsumption: defineCharacteristic('Total Consumption', EVE_TOTAL_CONSUMPTION_UUID, 'kWh', 1000000, 0.01),
+		Voltage: defineCharacteristic('Voltage', EVE_VOLTAGE_UUID, 'V', 1000, 0.1)
+	};
+}
+
+module.exports = {
+	createEveCharacteristics
+};
@@ -0,0 +1,66 @@
+// Why a poll failed. Helpers that return null on failure record one of these
+// on the report object they are given (the account's client), so the poller
+// can tell a dark roof from an expired session or a changed API.
+const FAULT_AUTH = 'auth';
+const FAULT_NETWORK = 'network';
+const FAULT_HTML_ERROR = 'html-error';
+const FAULT_SCHEMA = 'schema';
+const FAULT_DEPRECATED = 'deprecated';
+
+const FAULT_DESCRIPTIONS = {
+	[FAULT_AUTH]: 'authentication failed',
+	[FAULT_NETWORK]: 'server unreachable',
+	[FAULT_HTML_ERROR]: 'server answered with an HTML error page',
+	[FAULT_SCHEMA]: 'unexpected response format',
+	[FAULT_DEPRECATED]: 'legacy API endpoint no longer exists'
+};
+
+/**
+ * Record why a request failed
+ *
+ * @param {report} Object to record the fault on (may be null)
+ * @param {kind} One of the FAULT_* kinds
+ * @param {message} Detail for the log
+ */
+const setFault = (report, kind, message) => {
+	if (report) {
+		report.fault = { kind, message };
+	}
+}
+
+/**
+ * Classify an error thrown by axios or a socket
+ *
+ * @param {error} Error from a failed request
+ * @returns {string} FAULT_AUTH for 401/403, FAULT_SCHEMA for other 4xx answers, otherwise FAULT_NETWORK
+ */
+const getErrorFaultKind = (error) => {
+	const status = error && error.response ? error.response.status : null;
+	if (status === 401 || status === 403) {
+		return FAULT_AUTH;
+	}
+	if (status >= 400 && status < 500) {
+		return FAULT_SCHEMA;
+	}
+	return FAULT_NETWORK;
+}
+
+/**
+ * @param {fault} Fault recorded by setFault
+ * @returns {string} Fault description for the log
+ */
+const describeFault = (fault) => {
+	const description = FAULT_DESCRIPTIONS[fault.kind] || fault.kind;
+	return fault.message ? `${description}: ${fault.message}` : description;
+}
+
+module.exports = {
+	FAULT_AUTH,
+	FAULT_NETWORK,
+	FAULT_HTML_ERROR,
+	FAULT_SCHEMA,
+	FAULT_DEPRECATED,
+	setFault,
+	getErrorFaultKind,
+	describeFault
+};
@@ -0,0 +1,127 @@
+// Eve history entries are 10 minutes apart
+const HISTORY_INTERVAL = 10 * 60;
+const DAY = 24 * 60 * 60;
+// How long to wait for fakegato to load the persisted history (checked every second)
+const LOAD_ATTEMPTS = 60;
+
+/**
+ * Eve-compatible production history (fakegato "energy" type) for one accessory
+ * Every poll is recorded as a power sample and Eve derives the energy graph from
+ * the samples. On a fresh history the past days of the daily energy list are
+ * backfilled, spread evenly over each day.
+ */
+class ProductionHistory {
+	/**
+	 * @param {FakeGatoHistoryService} Class returned by require('fakegato-history')(homebridge)
+	 * @param {accessory} Accessory (platform accessory or accessory-mode instance with displayName)
+	 * @param {poller} Account poller
+	 * @param {options} { log, path, filename, readPower(readings) }
+	 */
+	constructor(FakeGatoHistoryService, accessory, poller, options) {
+		this.log = options.log;
+		this.readPower = options.readPower;
+		this.backfilled = false;
+		// Callbacks waiting for the history to load, null while nothing waits
+		this.waiting = null;
+		this.loadFailed = false;
+		
+		this.service = new FakeGatoHistoryService('energy', accessory, {
+			storage: 'fs',
+			path: options.path,
+			filename: options.filename,
+			log: options.log,
+			// Polls are recorded as they arrive instead of being averaged by fakegato's timer
+			disableTimer: true
+		});
+		
+		poller.on('update', this.record.bind(this));
+		if (poller.readings) {
+			this.record(poller.readings);
+		}
+	}
+
+	record(readings) {
+		if (!this.backfilled && Array.isArray(readings.daily)) {
+			this.backfilled = true;
+			this.whenLoaded(() => this.backfill(readings.daily));
+		}
+		
+		// Readings restored from the cache or rolled over at midnight were
+		// recorded when they were first polled
+		const power = this.readPower(readings);
+		if (power == null || readings.restored || readings.rolledOver) {
+			return;
+		}
+		this.whenLoaded(() => {
+			this.service.addEntry({ time: Math.round(readings.timestamp / 1000), power: power });
+		});
+	}
+
+	/**
+	 * Run once fakegato has loaded the persisted history; callbacks queue
+	 * behind a single wait, and are dropped if the history never loads
+	 */
+	whenLoaded(callback) {
+		if (this.service.isHistoryLoaded()) {
+			callback();
+			return;
+		}
+		if (this.loadFailed) {
+			return;
+		}
+		if (this.waiting) {
+			this.waiting.push(callback);
+			return;
+		}
+		
+		this.waiting = [callback];
+		let attempts = 0;
+		const check = () => {
+			if (this.service.isHistoryLoaded()) {
+				const callbacks = this.waiting;
+				this.waiting = null;
+				callbacks.forEach(waiting => waiting());
+			} else if (++attempts >= LOAD_ATTEMPTS) {
+				this.waiting = null;
+				this.loadFailed = true;
+				this.log.warn(`Eve history did not load within ${LOAD_ATTEMPTS}s, it is not recorded until Homebridge restarts`);
+			} else {
+				setTimeout(check, 1000);
+			}
+		};
+		setTimeout(check, 1000);
+	}
+
+	/**
+	 * Fill an empty history with the days before today from the daily energy list
+	 *
+	 * @param {daily} [{ time: ms at the start of the day, kwh }]
+	 */
+	backfill(daily) {
+		if (this.service.usedMemory > 0) {
+			return;
+		}
+		
+		const today = new Date();
+		today.setHours(0, 0, 0, 0);
+		const pastDays = daily
+			.filter(day => day.time < today.getTime() && day.kwh != null)
+			.sort((a, b) => a.time - b.time);
+		
+		pastDays.forEach(day => {
+			const start = Math.round(day.time / 1000);
+			const power = parseFloat((day.kwh * 1000 / 24).toFixed(1));
+			for (let time = start; time < start + DAY; time += HISTORY_INTERVAL) {
+				this.service.addEntry({ time: time, power: power });
+			}
+		});
+		
+		if (pastDays.length > 0) {
+			this.log(`Backfilled Eve history with ${pastDays.length} day(s) of daily energy`);
+		}
+	}
+}
+
+module.exports = {
+	ProductionHistory
+};
@@ -0,0 +1,181 @@
+const http = require('http');
+
+// Reading keys exported as energy totals, by period label
+const ENERGY_PERIODS = {
+	today: 'kwh',
+	yesterday: 'yesterdayKwh',
+	month: 'monthKwh',
+	year: 'yearKwh',
+	lifetime: 'lifetimeKwh'
+};
+
+/**
+ * Normalised status of one account, shared by the JSON and Prometheus output
+ *
+ * @param {poller} InverterPoller of the account
+ * @returns {object} Latest readings, data age and fault of the account
+ */
+const getPollerStatus = (poller) => {
+	const readings = poller.readings || {};
+	const energy = {};
+	Object.entries(ENERGY_PERIODS).forEach(([period, key]) => {
+		energy[period] = readings[key] != null ? readings[key] : null;
+	});
+	
+	return {
+		name: poller.account.name,
+		dataSource: poller.account.dataSource,
+		timestamp: readings.timestamp ? new Date(readings.timestamp).toISOString() : null,
+		dataAge: poller.getDataAge(),
+		watts: readings.watts != null ? readings.watts : null,
+		energy: energy,
+		peak: {
+			watts: readings.peakWatts != null ? readings.peakWatts : null,
+			time: readings.peakTime ? new Date(readings.peakTime).toISOString() : null
+		},
+		powerCurve: (readings.powerCurve || []).map(sample => ({ time: new Date(sample.time).toISOString(), watts: sample.watts })),
+		inverters: (readings.inverters || []).map(inverter => ({
+			uid: inverter.uid,
+			online: inverter.online,
+			power: inverter.power || [],
+			voltage: inverter.voltage || [],
+			frequency: inverter.frequency != null ? inverter.frequency : null,
+			temperature: inverter.temperature != null ? inverter.temperature : null
+		})),
+		fault: poller.fault,
+		failures: poller.failures,
+		lastError: poller.lastFault,
+		schedule: {
+			night: poller.night === true,
+			nextPoll: poller.nextPoll ? new Date(poller.nextPoll).toISOString() : null
+		}
+	};
+}
+
+/**
+ * Escape a Prometheus label value
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Format a Prometheus sample line
+ *
+ * @param {name} Metric name
+ * @param {labels} Label names and values
+ * @param {value} Sample value
+ */
+const formatSample = (name, labels, value) => {
+	const labelText = Object.entries(labels)
+		.map(([label, labelValue]) => `${label}="${escapeLabel(labelValue)}"`)
+		.join(',');
+	return `${name}{${labelText}} ${value}`;
+}
+
+/**
+ * Format the status of every account in the Prometheus text exposition format
+ * Values that are not available are left out rather than reported as 0
+ *
+ * @param {statuses} Account statuses from getPollerStatus
+ * @returns {string} Prometheus metrics
+ */
+const formatPrometheus = (statuses) => {
+	const metrics = [
+		['apsystems_up', 'gauge', 'Whether the last poll of the account succeeded'],
+		['apsystems_power_watts', 'gauge', 'Current power'],
+		['apsystems_energy_kwh', 'gauge', 'Energy produced in a period'],
+		['apsystems_peak_power_watts', 'gauge', 'Highest power today'],
+		['apsystems_peak_power_timestamp_seconds', 'gauge', 'Time of the highest power today'],
+		['apsystems_data_age_seconds', 'gauge', 'Age of the latest readings'],
+		['apsystems_poll_failures', 'gauge', 'Failed polls in a row'],
+		['apsystems_last_error_timestamp_seconds', 'gauge', 'Time of the last failed poll, labelled with its fault'],
+		['apsystems_inverter_online', 'gauge', 'Whether an inverter is online'],
+		['apsystems_inverter_power_watts', 'gauge', 'Current power of an inverter channel'],
+		['apsystems_inverter_voltage_volts', 'gauge', 'AC voltage of an inverter channel'],
+		['apsystems_inverter_frequency_hertz', 'gauge', 'Grid frequency seen by an inverter'],
+		['apsystems_inverter_temperature_celsius', 'gauge', 'Inverter temperature']
+	];
+	const samples = new Map(metrics.map(([name]) => [name, []]));
+	const add = (name, labels, value) => {
+		if (value != null && !isNaN(value)) {
+			samples.get(name).push(formatSample(name, labels, Number(value)));
+		}
+	};
+	
+	statuses.forEach(status => {
+		const account = { account: status.name };
+		add('apsystems_up', account, status.fault ? 0 : 1);
+		add('apsystems_power_watts', account, status.watts);
+		Object.entries(status.energy).forEach(([period, value]) => {
+			add('apsystems_energy_kwh', { ...account, period }, value);
+		});
+		add('apsystems_peak_power_watts', account, status.peak.watts);
+		if (status.peak.time) {
+			add('apsystems_peak_power_timestamp_seconds', account, Math.round(Date.parse(status.peak.time) / 1000));
+		}
+		add('apsystems_data_age_seconds', account, status.dataAge);
+		add('apsystems_poll_failures', account, status.failures);
+		if (status.lastError) {
+			add('apsystems_last_error_timestamp_seconds', { ...account, kind: status.lastError.kind }, Math.round(status.lastError.time / 1000));
+		}
+		
+		status.inverters.forEach(inverter => {
+			const labels = { ...account, inverter: inverter.uid };
+			add('apsystems_inverter_online', labels, inverter.online ? 1 : 0);
+			add('apsystems_inverter_frequency_hertz', labels, inverter.frequency);
+			add('apsystems_inverter_temperature_celsius', labels, inverter.temperature);
+			inverter.power.forEach((power, index) => {
+				add('apsystems_inverter_power_watts', { ...labels, channel: index + 1 }, power);
+			});
+			inverter.voltage.forEach((voltage, index) => {
+				add('apsystems_inverter_voltage_volts', { ...labels, channel: index + 1 }, voltage);
+			});
+		});
+	});
+	
+	return metrics
+		.filter(([name]) => samples.get(name).length > 0)
+		.map(([name, type, help]) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples.get(name)].join('\n'))
+		.join('\n') + '\n';
+}
+
+/**
+ * Serve the latest readings of every account over HTTP
+ * GET /readings answers JSON, GET /metrics the Prometheus text format
+ *
+ * @param {options} { port, host, log, getPollers } where getPollers returns the current InverterPollers
+ * @returns {http.Server} The listening server
+ */
+const startMetricsServer = (options) => {
+	const { port, host, log, getPollers } = options;
+	
+	const server = http.createServer((request, response) => {
+		const path = (request.url || '/').split('?')[0];
+		if (request.method !== 'GET') {
+			response.writeHead(405, { 'Allow': 'GET' });
+			response.end();
+			return;
+		}
+		
+		const statuses = getPollers().map(getPollerStatus);
+		if (path === '/metrics') {
+			response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+			response.end(formatPrometheus(statuses));
+		} else if (path === '/readings' || path === '/') {
+			response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+			response.end(JSON.stringify({ accounts: statuses }, null, 2));
+		} else {
+			response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+			response.end('Not found\n');
+		}
+	});
+	
+	server.on('error', error => log.error(`Metrics server on port ${port} failed:`, error.message));
+	server.listen(port, host, () => log(`Metrics server listening on ${host || '*'}:${port} (/readings, /metrics)`));
+	return server;
+}
+
+module.exports = {
+	getPollerStatus,
+	formatPrometheus,
+	startMetricsServer
+};
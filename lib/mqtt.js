@@ -0,0 +1,195 @@
+const mqtt = require('mqtt');
+
+const DEF_TOPIC_PREFIX = 'apsystems';
+const DEF_DISCOVERY_PREFIX = 'homeassistant';
+
+// Account readings published under <prefix>/<account>/<topic>, with their
+// Home Assistant sensor description. Energy totals that reset (daily, monthly,
+// yearly) are total_increasing, which Home Assistant treats as a new cycle.
+const ACCOUNT_SENSORS = [
+	{ key: 'watts', topic: 'power', name: 'Power', unit: 'W', deviceClass: 'power', stateClass: 'measurement' },
+	{ key: 'kwh', topic: 'energy_today', name: 'Energy today', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+	{ key: 'yesterdayKwh', topic: 'energy_yesterday', name: 'Energy yesterday', unit: 'kWh', deviceClass: 'energy' },
+	{ key: 'monthKwh', topic: 'energy_month', name: 'Energy this month', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+	{ key: 'yearKwh', topic: 'energy_year', name: 'Energy this year', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+	{ key: 'lifetimeKwh', topic: 'energy_lifetime', name: 'Lifetime energy', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+	{ key: 'peakWatts', topic: 'peak_power', name: 'Peak power today', unit: 'W', deviceClass: 'power', stateClass: 'measurement' },
+	{ key: 'peakTime', topic: 'peak_time', name: 'Peak power time', deviceClass: 'timestamp', format: time => new Date(time).toISOString() }
+];
+
+/**
+ * Topic-safe form of a name
+ */
+const toTopicSegment = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'inverter';
+
+/**
+ * Publishes every poll to an MQTT broker, with Home Assistant discovery
+ * configs so the sensors show up there without any YAML
+ */
+class MqttPublisher {
+	/**
+	 * @param {log} Homebridge logger
+	 * @param {config} { url, username, password, topicPrefix, retain, qos, homeAssistant, discoveryPrefix }
+	 */
+	constructor(log, config) {
+		this.log = log;
+		this.topicPrefix = config["topicPrefix"] || DEF_TOPIC_PREFIX;
+		this.retain = config["retain"] !== false;
+		this.qos = [0, 1, 2].includes(config["qos"]) ? config["qos"] : 0;
+		this.homeAssistant = config["homeAssistant"] !== false;
+		this.discoveryPrefix = config["discoveryPrefix"] || DEF_DISCOVERY_PREFIX;
+		this.statusTopic = `${this.topicPrefix}/status`;
+		
+		// Discovery configs already sent on this connection
+		this.discovered = new Set();
+		this.pollers = [];
+		this.lastError = null;
+		
+		this.client = mqtt.connect(config["url"], {
+			username: config["username"],
+			password: config["password"],
+			reconnectPeriod: 10000,
+			// Readings queued while offline would be stale by the time they are sent
+			queueQoSZero: false,
+			will: { topic: this.statusTopic, payload: 'offline', qos: this.qos, retain: true }
+		});
+		
+		this.client.on('connect', () => {
+			this.log(`Connected to MQTT broker ${config["url"]}`);
+			this.lastError = null;
+			this.discovered.clear();
+			this.publish(this.statusTopic, 'online', true);
+			this.pollers.forEach(poller => this.publishPoller(poller));
+		});
+		this.client.on('error', error => {
+			// Reconnects repeat the same error, log it once
+			if (error.message !== this.lastError) {
+				this.lastError = error.message;
+				this.log.error('MQTT error:', error.message);
+			}
+		});
+	}
+
+	/**
+	 * Publish the readings of a poller now and after every poll
+	 *
+	 * @param {poller} InverterPoller of an account
+	 */
+	attach(poller) {
+		this.pollers.push(poller);
+		poller.on('update', () => this.publishPoller(poller));
+		poller.on('fault', () => this.publishAvailability(poller));
+		if (poller.readings) {
+			this.publishPoller(poller);
+		}
+	}
+
+	end() {
+		this.publish(this.statusTopic, 'offline', true);
+		this.client.end();
+	}
+
+	publish(topic, payload, retain = this.retain) {
+		if (this.client.connected) {
+			this.client.publish(topic, String(payload), { qos: this.qos, retain: retain });
+		}
+	}
+
+	getAccountTopic(poller) {
+		return `${this.topicPrefix}/${toTopicSegment(poller.account.name)}`;
+	}
+
+	publishAvailability(poller) {
+		this.publish(`${this.getAccountTopic(poller)}/availability`, poller.isResponding() ? 'online' : 'offline', true);
+	}
+
+	publishPoller(poller) {
+		const readings = poller.readings;
+		if (!readings || !this.client.connected) {
+			return;
+		}
+		
+		const accountTopic = this.getAccountTopic(poller);
+		this.publishAvailability(poller);
+		
+		ACCOUNT_SENSORS.forEach(sensor => {
+			if (readings[sensor.key] == null) {
+				return;
+			}
+			this.publishDiscovery(poller, sensor.topic, sensor);
+			this.publish(`${accountTopic}/${sensor.topic}`, sensor.format ? sensor.format(readings[sensor.key]) : readings[sensor.key]);
+		});
+		
+		(readings.inverters || []).forEach(inverter => {
+			const inverterTopic = `inverter/${inverter.uid}`;
+			const power = (inverter.power || []).reduce((total, value) => total + (value || 0), 0);
+			this.publishDiscovery(poller, `${inverterTopic}/power`, {
+				name: `Inverter ${inverter.uid} power`,
+				unit: 'W',
+				deviceClass: 'power',
+				stateClass: 'measurement'
+			});
+			this.publish(`${accountTopic}/${inverterTopic}/power`, power);
+			(inverter.power || []).forEach((value, index) => {
+				this.publish(`${accountTopic}/${inverterTopic}/channel/${index + 1}/power`, value || 0);
+			});
+		});
+		
+		this.publish(`${accountTopic}/state`, JSON.stringify({
+			...readings,
+			daily: undefined,
+			powerCurve: undefined,
+			dataAge: poller.getDataAge()
+		}));
+	}
+
+	/**
+	 * Send the Home Assistant discovery config of a sensor once per connection
+	 *
+	 * @param {poller} InverterPoller of the account
+	 * @param {topic} Sensor topic below the account topic
+	 * @param {sensor} { name, unit, deviceClass, stateClass }
+	 */
+	publishDiscovery(poller, topic, sensor) {
+		if (!this.homeAssistant) {
+			return;
+		}
+		
+		const accountSegment = toTopicSegment(poller.account.name);
+		const uniqueId = `${this.topicPrefix}_${accountSegment}_${toTopicSegment(topic)}`;
+		if (this.discovered.has(uniqueId)) {
+			return;
+		}
+		this.discovered.add(uniqueId);
+		
+		const accountTopic = this.getAccountTopic(poller);
+		const config = {
+			name: sensor.name,
+			unique_id: uniqueId,
+			object_id: `${accountSegment}_${toTopicSegment(topic)}`,
+			state_topic: `${accountTopic}/${topic}`,
+			unit_of_measurement: sensor.unit,
+			device_class: sensor.deviceClass,
+			availability: [
+				{ topic: this.statusTopic },
+				{ topic: `${accountTopic}/availability` }
+			],
+			availability_mode: 'all',
+			device: {
+				identifiers: [`${this.topicPrefix}_${accountSegment}`],
+				name: poller.account.name,
+				manufacturer: 'AP Systems',
+				model: 'Inverter'
+			}
+		};
+		if (sensor.stateClass) {
+			config.state_class = sensor.stateClass;
+		}
+		
+		this.publish(`${this.discoveryPrefix}/sensor/${uniqueId}/config`, JSON.stringify(config), true);
+	}
+}
+
+module.exports = {
+	MqttPublisher
+};
@@ -0,0 +1,118 @@
+// Today's power curve: the time series the APIs return, the energy under it
+// and its peak
+const { getSiteTime, getSiteHour } = require('./site-time');
+
+// The ECU reports about every 5 minutes. Samples further apart than this are
+// a gap in the data (ECU offline), and a straight line across it would be a guess.
+const MAX_SAMPLE_GAP = 30 * 60 * 1000;
+
+/**
+ * Read a list that may be sent as a JSON string
+ *
+ * @param {value} Array, or a string holding a JSON array
+ * @returns {Array} The list, or null if the value is not one
+ */
+const parseList = (value) => {
+	if (Array.isArray(value)) {
+		return value;
+	}
+	if (typeof value === 'string') {
+		try {
+			const list = JSON.parse(value);
+			return Array.isArray(list) ? list : null;
+		} catch (error) {
+			return null;
+		}
+	}
+	return null;
+}
+
+/**
+ * Read the time of one sample
+ *
+ * @param {value} "HH:mm", "HH:mm:ss", "yyyy-MM-dd HH:mm:ss" or a timestamp in s or ms
+ * @param {day} Site day of times without a date, as "YYYY-MM-DD"
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @returns {number} Time in ms, or null if the value is not a time
+ */
+const parseSampleTime = (value, day, timezone) => {
+	if (value === null || value === undefined) {
+		return null;
+	}
+	const text = String(value).trim();
+	const clockMatch = text.match(/^(?:(\d{4}-\d{2}-\d{2})[ T])?(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+	if (clockMatch) {
+		return getSiteTime(clockMatch[1] || day, parseInt(clockMatch[2]), parseInt(clockMatch[3]), parseInt(clockMatch[4] || 0), timezone);
+	}
+	if (/^\d+$/.test(text)) {
+		const number = parseInt(text);
+		return number < 1e12 ? number * 1000 : number;
+	}
+	return null;
+}
+
+/**
+ * Pair a time list with a power list
+ *
+ * @param {times} Sample times, as a list or a JSON string (see parseSampleTime)
+ * @param {powers} Power in W per sample, as a list or a JSON string
+ * @param {day} Site day of the samples, as "YYYY-MM-DD"
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @returns {Array} [{ time, watts }] in time order, or null when the lists do not match
+ */
+const buildPowerCurve = (times, powers, day, timezone) => {
+	const timeList = parseList(times);
+	const powerList = parseList(powers);
+	if (!timeList || !powerList || timeList.length !== powerList.length) {
+		return null;
+	}
+
+	return timeList
+		.map((value, index) => ({ time: parseSampleTime(value, day, timezone), watts: parseFloat(powerList[index]) }))
+		.filter(sample => sample.time !== null && !isNaN(sample.watts))
+		.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Energy under a power curve, with the trapezoidal rule
+ * Intervals longer than MAX_SAMPLE_GAP are left out
+ *
+ * @param {curve} [{ time, watts }] in time order
+ * @returns {number} Energy in kWh
+ */
+const integrateEnergy = (curve) => {
+	let wattHours = 0;
+	for (let i = 1; i < curve.length; i++) {
+		const interval = curve[i].time - curve[i - 1].time;
+		if (interval > 0 && interval <= MAX_SAMPLE_GAP) {
+			wattHours += (curve[i - 1].watts + curve[i].watts) / 2 * interval / 3600000;
+		}
+	}
+	return parseFloat((wattHours / 1000).toFixed(2));
+}
+
+/**
+ * @param {curve} [{ time, watts }]
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @returns {object} { peakWatts, peakTime, peakHour } of the first highest sample;
+ * 0 W without a time or hour for an empty curve, as before sunrise
+ */
+const getPeak = (curve, timezone) => {
+	if (!curve || curve.length === 0) {
+		return { peakWatts: 0, peakTime: null, peakHour: null };
+	}
+	const peak = curve.reduce((highest, sample) => sample.watts > highest.watts ? sample : highest);
+	return {
+		peakWatts: Math.round(peak.watts),
+		peakTime: peak.time,
+		peakHour: getSiteHour(peak.time, timezone)
+	};
+}
+
+module.exports = {
+	MAX_SAMPLE_GAP,
+	parseList,
+	buildPowerCurve,
+	integrateEnergy,
+	getPeak
+};
@@ -0,0 +1,97 @@
+// When to poll next: often while the sun is up, slowly or not at all at
+// night, and less often while polls keep failing
+const { getSunTimes } = require('./sun');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Daylight starts this long before sunrise and ends this long after sunset,
+// so the first watts and the final daily total are not missed
+const DAYLIGHT_MARGIN = 30 * 60 * 1000;
+// Longest wait between polls while they fail (milliseconds)
+const POLL_BACKOFF_MAX = 60 * 60 * 1000;
+
+/**
+ * @param {time} Time in ms
+ * @param {latitude} Latitude in degrees
+ * @param {longitude} Longitude in degrees
+ * @returns {object} { start, end } of the daylight period around the time in ms,
+ * both null in a polar night and { start: -Infinity, end: Infinity } in a polar day
+ */
+const getDaylight = (time, latitude, longitude) => {
+	const sun = getSunTimes(time, latitude, longitude);
+	if (sun.polarDay) {
+		return { start: -Infinity, end: Infinity };
+	}
+	if (sun.polarNight) {
+		return { start: null, end: null };
+	}
+	return { start: sun.sunrise - DAYLIGHT_MARGIN, end: sun.sunset + DAYLIGHT_MARGIN };
+}
+
+/**
+ * @param {time} Time in ms
+ * @param {latitude} Latitude in degrees
+ * @param {longitude} Longitude in degrees
+ * @returns {boolean} Whether the time is between sunrise and sunset, with DAYLIGHT_MARGIN
+ */
+const isDaylight = (time, latitude, longitude) => {
+	const daylight = getDaylight(time, latitude, longitude);
+	return daylight.start !== null && time >= daylight.start && time <= daylight.end;
+}
+
+/**
+ * @param {time} Time in ms, at night
+ * @param {latitude} Latitude in degrees
+ * @param {longitude} Longitude in degrees
+ * @returns {number} Start of the next daylight period in ms, or null when the sun
+ * does not rise in the coming days (polar night)
+ */
+const getNextDaylight = (time, latitude, longitude) => {
+	// The sun times are of the solar day nearest to the time, which may be
+	// today's or tomorrow's, so look a few days ahead
+	for (let days = 0; days <= 2; days++) {
+		const daylight = getDaylight(time + days * DAY_MS, latitude, longitude);
+		if (daylight.start !== null && daylight.start > time) {
+			return daylight.start;
+		}
+	}
+	return null;
+}
+
+/**
+ * Delay until the next scheduled poll
+ *
+ * @param {schedule} { pollInterval, nightPollInterval } in seconds, nightPollInterval 0 for no
+ * polls at night, and { latitude, longitude } of the site, null to poll around the clock
+ * @param {failures} Failed polls in a row
+ * @param {now} Current time in ms
+ * @returns {object} { delay } in ms, with night: true and the nextDaylight time (null in
+ * a polar night) when the sun is down
+ */
+const getPollDelay = (schedule, failures, now) => {
+	const interval = schedule.pollInterval * 1000;
+	const hasLocation = schedule.latitude != null && schedule.longitude != null;
+
+	if (hasLocation && !isDaylight(now, schedule.latitude, schedule.longitude)) {
+		const nextDaylight = getNextDaylight(now, schedule.latitude, schedule.longitude);
+		const untilDaylight = nextDaylight === null ? Infinity : nextDaylight - now;
+		const nightInterval = schedule.nightPollInterval > 0 ? schedule.nightPollInterval * 1000 : Infinity;
+		const delay = Math.min(nightInterval, untilDaylight);
+		// Without a sunrise in sight and without night polls, check again in a day
+		return { delay: delay === Infinity ? DAY_MS : delay, night: true, nextDaylight: nextDaylight };
+	}
+
+	if (failures > 0) {
+		// Double the interval for each failure, up to POLL_BACKOFF_MAX (or the interval if that is longer)
+		const backoff = interval * Math.pow(2, Math.min(failures, 16));
+		return { delay: Math.min(backoff, Math.max(POLL_BACKOFF_MAX, interval)), night: false };
+	}
+	return { delay: interval, night: false };
+}
+
+module.exports = {
+	DAYLIGHT_MARGIN,
+	POLL_BACKOFF_MAX,
+	isDaylight,
+	getNextDaylight,
+	getPollDelay
+};
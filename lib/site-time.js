@@ -0,0 +1,187 @@
+// Calendar days at the solar site. The ECU and EMA count "today" in the
+// site's timezone, which is not always the timezone of the Homebridge host.
+// Days are handled as "YYYY-MM-DD" keys so no host timezone gets involved.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One formatter per timezone, creating them is slow
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+	const key = timezone || '';
+	if (!formatters.has(key)) {
+		formatters.set(key, new Intl.DateTimeFormat('en-US', {
+			timeZone: timezone || undefined,
+			year: 'numeric',
+			month: '2-digit',
+			day: '2-digit',
+			hour: '2-digit',
+			minute: '2-digit',
+			second: '2-digit',
+			hourCycle: 'h23'
+		}));
+	}
+	return formatters.get(key);
+}
+
+/**
+ * @param {time} Time in ms
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @returns {object} Wall clock at the site as strings: { year, month, day, hour, minute, second }
+ */
+const getSiteParts = (time, timezone) => {
+	const parts = {};
+	getFormatter(timezone).formatToParts(new Date(time)).forEach(part => {
+		parts[part.type] = part.value;
+	});
+	// Some ICU versions write midnight as hour 24
+	if (parts.hour === '24') {
+		parts.hour = '00';
+	}
+	return parts;
+}
+
+/**
+ * @param {timezone} IANA timezone name
+ * @returns {boolean} Whether the timezone is known
+ */
+const isValidTimezone = (timezone) => {
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+		return true;
+	} catch (error) {
+		return false;
+	}
+}
+
+/**
+ * @param {time} Time in ms
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @returns {string} Day at the site as "YYYY-MM-DD"
+ */
+const getSiteDay = (time, timezone) => {
+	const parts = getSiteParts(time, timezone);
+	return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * @param {time} Time in ms
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @returns {number} Hours since midnight at the site, 13.5 for 13:30
+ */
+const getSiteHour = (time, timezone) => {
+	const parts = getSiteParts(time, timezone);
+	return parseFloat((parseInt(parts.hour) + parseInt(parts.minute) / 60 + parseInt(parts.second) / 3600).toFixed(2));
+}
+
+/**
+ * Time of a wall clock reading at the site
+ *
+ * @param {day} Day as "YYYY-MM-DD"
+ * @param {hour} Hour, minute and second of the wall clock at the site
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @returns {number} Time in ms
+ */
+const getSiteTime = (day, hour, minute, second, timezone) => {
+	const [year, month, date] = day.split('-').map(Number);
+	const wallClock = Date.UTC(year, month - 1, date, hour, minute, second);
+	const getOffset = (time) => {
+		const parts = getSiteParts(time, timezone);
+		const siteClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+		return siteClock - Math.floor(time / 1000) * 1000;
+	};
+	// The offset at the guessed time differs from the real one around DST changes, so check it once more
+	const guess = wallClock - getOffset(wallClock);
+	return wallClock - getOffset(guess);
+}
+
+/**
+ * @param {day} Day as "YYYY-MM-DD"
+ * @param {days} Number of days to add, negative to go back
+ * @returns {string} Resulting day as "YYYY-MM-DD"
+ */
+const addDays = (day, days) => {
+	const [year, month, date] = day.split('-').map(Number);
+	return new Date(Date.UTC(year, month - 1, date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Read the day of an entry in a date list
+ * Day strings are taken as they are, timestamps are placed in the site timezone
+ *
+ * @param {value} "YYYYMMDD", "YYYY-MM-DD", a timestamp in s or ms, or a date string
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @returns {string} Day as "YYYY-MM-DD", or null if the value is not a date
+ */
+const parseSiteDay = (value, timezone) => {
+	if (value === null || value === undefined) {
+		return null;
+	}
+	const text = String(value).trim();
+	const dayMatch = text.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+	if (dayMatch) {
+		return `${dayMatch[1]}-${dayMatch[2]}-${dayMatch[3]}`;
+	}
+
+	let time;
+	if (/^\d+$/.test(text)) {
+		const number = parseInt(text);
+		time = number < 1e12 ? number * 1000 : number;
+	} else {
+		time = new Date(text).getTime();
+	}
+	return isNaN(time) ? null : getSiteDay(time, timezone);
+}
+
+/**
+ * Start a new day on readings polled before the site's midnight, so the
+ * energy totals reset at midnight even when no new poll comes through
+ *
+ * @param {readings} Readings with the timestamp of their poll
+ * @param {timezone} IANA timezone of the site, or null for the host timezone
+ * @param {now} Current time in ms
+ * @returns {object} The same readings when they are from today, otherwise a rolled over copy
+ * with siteDay set to the day it was rolled over to
+ */
+const rollOverReadings = (readings, timezone, now) => {
+	if (!readings || !readings.timestamp) {
+		return readings;
+	}
+	const readingsDay = readings.siteDay || getSiteDay(readings.timestamp, timezone);
+	const today = getSiteDay(now, timezone);
+	if (readingsDay >= today) {
+		return readings;
+	}
+
+	const rolled = {
+		...readings,
+		kwh: 0,
+		// Yesterday's total is only known when the readings are from yesterday
+		yesterdayKwh: addDays(readingsDay, 1) === today ? readings.kwh : null,
+		rolledOver: true,
+		siteDay: today
+	};
+	if (readings.powerCurve) {
+		rolled.powerCurve = [];
+		rolled.peakWatts = 0;
+		rolled.peakTime = null;
+		rolled.peakHour = null;
+	}
+	if (readingsDay.slice(0, 7) !== today.slice(0, 7) && readings.monthKwh != null) {
+		rolled.monthKwh = 0;
+	}
+	if (readingsDay.slice(0, 4) !== today.slice(0, 4) && readings.yearKwh != null) {
+		rolled.yearKwh = 0;
+	}
+	return rolled;
+}
+
+module.exports = {
+	isValidTimezone,
+	getSiteDay,
+	getSiteHour,
+	getSiteTime,
+	addDays,
+	parseSiteDay,
+	rollOverReadings
+};
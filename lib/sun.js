@@ -0,0 +1,66 @@
+// Sunrise and sunset from latitude and longitude, computed offline with the
+// NOAA/Astronomical Almanac approximations (accurate to a minute or two)
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+// Obliquity of the Earth's axis
+const OBLIQUITY = 23.4397 * RAD;
+// Sun altitude at sunrise and sunset, allowing for refraction and the sun's radius
+const SUNRISE_ALTITUDE = -0.833 * RAD;
+const J0 = 0.0009;
+
+const toDays = (time) => time / DAY_MS - 0.5 + J1970 - J2000;
+const fromJulian = (julian) => (julian + 0.5 - J1970) * DAY_MS;
+
+const getSolarMeanAnomaly = (days) => RAD * (357.5291 + 0.98560028 * days);
+
+const getEclipticLongitude = (anomaly) => {
+	const center = RAD * (1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly));
+	const perihelion = RAD * 102.9372;
+	return anomaly + center + perihelion + Math.PI;
+}
+
+const getSolarTransit = (days, anomaly, longitude) => J2000 + days + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * longitude);
+
+/**
+ * Sunrise and sunset of the day whose solar noon is nearest to the given time
+ *
+ * @param {time} Time in ms
+ * @param {latitude} Latitude in degrees, north positive
+ * @param {longitude} Longitude in degrees, east positive
+ * @returns {object} { sunrise, sunset, noon } in ms; sunrise and sunset are null when the sun
+ * does not rise or set that day, with polarNight or polarDay set to true
+ */
+const getSunTimes = (time, latitude, longitude) => {
+	const west = -longitude * RAD;
+	const phi = latitude * RAD;
+
+	const cycle = Math.round(toDays(time) - J0 - west / (2 * Math.PI));
+	const approxNoon = J0 + west / (2 * Math.PI) + cycle;
+	const anomaly = getSolarMeanAnomaly(approxNoon);
+	const eclipticLongitude = getEclipticLongitude(anomaly);
+	const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(eclipticLongitude));
+	const noon = getSolarTransit(approxNoon, anomaly, eclipticLongitude);
+
+	const cosHourAngle = (Math.sin(SUNRISE_ALTITUDE) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination));
+	if (cosHourAngle > 1) {
+		return { sunrise: null, sunset: null, noon: fromJulian(noon), polarNight: true };
+	}
+	if (cosHourAngle < -1) {
+		return { sunrise: null, sunset: null, noon: fromJulian(noon), polarDay: true };
+	}
+
+	const hourAngle = Math.acos(cosHourAngle);
+	const sunset = getSolarTransit(J0 + (hourAngle + west) / (2 * Math.PI) + cycle, anomaly, eclipticLongitude);
+	return {
+		sunrise: fromJulian(noon - (sunset - noon)),
+		sunset: fromJulian(sunset),
+		noon: fromJulian(noon)
+	};
+}
+
+module.exports = {
+	getSunTimes
+};
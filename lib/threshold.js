@@ -0,0 +1,103 @@
+const EventEmitter = require('events');
+
+/**
+ * On/off state of a generation trigger
+ * Turns on once the value reaches the threshold and off once it drops below
+ * threshold - hysteresis, and only after the new state has held for minDwell
+ * seconds, so passing clouds do not toggle automations. Emits 'change' with
+ * the new state, also when the dwell ends between two values.
+ */
+class ThresholdState extends EventEmitter {
+	/**
+	 * @param {options} { threshold, hysteresis, minDwell } with minDwell in seconds
+	 */
+	constructor(options) {
+		super();
+		this.threshold = options.threshold;
+		this.hysteresis = options.hysteresis || 0;
+		this.minDwell = options.minDwell || 0;
+		// null until the first value, then whether the trigger is on
+		this.active = null;
+		this.value = null;
+		this.pendingSince = null;
+		this.timer = null;
+	}
+
+	/**
+	 * @param {value} Latest value
+	 * @param {time} Epoch milliseconds the value was read
+	 * @returns {boolean} Whether the state changed
+	 */
+	update(value, time) {
+		this.value = value;
+		const wanted = this.active
+			? value >= this.threshold - this.hysteresis
+			: value >= this.threshold;
+
+		// The first value sets the state right away
+		if (this.active === null) {
+			this.change(wanted);
+			return true;
+		}
+
+		if (wanted === this.active) {
+			this.cancelPending();
+			return false;
+		}
+
+		if (this.pendingSince === null) {
+			this.pendingSince = time;
+			// Values may not come again before the dwell ends, on a flat reading not at all
+			if (this.minDwell > 0) {
+				const delay = Math.max(this.pendingSince + this.minDwell * 1000 - Date.now(), 0);
+				this.timer = setTimeout(() => {
+					this.timer = null;
+					this.update(this.value, this.pendingSince + this.minDwell * 1000);
+				}, delay);
+			}
+		}
+		if (time - this.pendingSince < this.minDwell * 1000) {
+			return false;
+		}
+
+		this.cancelPending();
+		this.change(wanted);
+		return true;
+	}
+
+	change(active) {
+		this.active = active;
+		this.emit('change', active);
+	}
+
+	cancelPending() {
+		this.pendingSince = null;
+		clearTimeout(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Forget the state when the value is no longer known, turning an active
+	 * trigger off; the next value sets the state right away again
+	 */
+	reset() {
+		this.cancelPending();
+		const active = this.active;
+		this.active = null;
+		this.value = null;
+		if (active) {
+			this.emit('change', false);
+		}
+	}
+
+	/**
+	 * Forget a pending change, for shutdown
+	 */
+	stop() {
+		this.cancelPending();
+	}
+}
+
+module.exports = {
+	ThresholdState
+};
@@ -0,0 +1,164 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildAccount } = require('../index.js');
+const { ReadingsCache, getReadingsCache } = require('../lib/cache');
+const { FakeEcuServer } = require('./helpers/fake-ecu');
+const { captureErrors } = require('./helpers/fake-ema');
+const { FakeHomebridgeApi, silentLog } = require('./helpers/homebridge');
+
+const CACHE_FILENAME = 'homebridge-apsystem-inverter-cache.json';
+
+// Logger that keeps the warnings
+const createLog = () => {
+	const log = () => {};
+	log.warnings = [];
+	log.warn = (...args) => log.warnings.push(args.join(' '));
+	return log;
+};
+
+// Wait until the cache has written everything it was given
+const waitForWrites = async (cache) => {
+	while (cache.writing) {
+		await new Promise(resolve => setTimeout(resolve, 5));
+	}
+};
+
+describe('readings cache', () => {
+	let storagePath;
+	let cacheFile;
+
+	beforeEach(() => {
+		storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'apsystems-cache-'));
+		cacheFile = path.join(storagePath, CACHE_FILENAME);
+	});
+
+	afterEach(() => {
+		fs.rmSync(storagePath, { recursive: true, force: true });
+	});
+
+	it('writes through a temporary file renamed over the cache', async () => {
+		const rename = fs.rename;
+		const renames = [];
+		fs.rename = (from, to, callback) => {
+			renames.push([path.basename(from), path.basename(to)]);
+			rename(from, to, callback);
+		};
+		try {
+			const cache = new ReadingsCache(storagePath, createLog());
+			cache.set('local:127.0.0.1:8899', { watts: 602, timestamp: 1000 });
+			await waitForWrites(cache);
+		} finally {
+			fs.rename = rename;
+		}
+
+		assert.deepStrictEqual(renames, [[`${CACHE_FILENAME}.tmp`, CACHE_FILENAME]]);
+		assert.deepStrictEqual(fs.readdirSync(storagePath), [CACHE_FILENAME]);
+		assert.deepStrictEqual(JSON.parse(fs.readFileSync(cacheFile, 'utf8')), { 'local:127.0.0.1:8899': { watts: 602, timestamp: 1000 } });
+	});
+
+	it('writes one at a time and ends with the latest readings', async () => {
+		const cache = new ReadingsCache(storagePath, createLog());
+		cache.set('roof', { watts: 100, timestamp: 1000 });
+		cache.set('roof', { watts: 200, timestamp: 2000 });
+		cache.set('garage', { watts: 50, timestamp: 2000 });
+		assert.strictEqual(cache.writeAgain, true);
+		await waitForWrites(cache);
+
+		assert.deepStrictEqual(JSON.parse(fs.readFileSync(cacheFile, 'utf8')), {
+			roof: { watts: 200, timestamp: 2000 },
+			garage: { watts: 50, timestamp: 2000 }
+		});
+	});
+
+	it('reloads the readings after a restart', async () => {
+		const cache = new ReadingsCache(storagePath, createLog());
+		cache.set('roof', { watts: 602, kwh: 4.32, timestamp: 1000 });
+		await waitForWrites(cache);
+
+		const restarted = new ReadingsCache(storagePath, createLog());
+		assert.deepStrictEqual(restarted.get('roof'), { watts: 602, kwh: 4.32, timestamp: 1000 });
+		assert.strictEqual(restarted.get('garage'), null);
+	});
+
+	it('ignores a corrupt cache file with a warning and replaces it', async () => {
+		fs.writeFileSync(cacheFile, '{"roof": {"watts": 60');
+		const log = createLog();
+		const cache = new ReadingsCache(storagePath, log);
+
+		assert.strictEqual(cache.get('roof'), null);
+		assert.strictEqual(log.warnings.length, 1);
+		assert.match(log.warnings[0], /Ignoring unreadable readings cache/);
+
+		cache.set('roof', { watts: 602, timestamp: 1000 });
+		await waitForWrites(cache);
+		assert.strictEqual(new ReadingsCache(storagePath, log).get('roof').watts, 602);
+	});
+
+	it('starts empty without a cache file and without a warning', () => {
+		const log = createLog();
+		const cache = new ReadingsCache(storagePath, log);
+
+		assert.strictEqual(cache.get('roof'), null);
+		assert.deepStrictEqual(log.warnings, []);
+	});
+
+	it('skips entries without a timestamp', () => {
+		fs.writeFileSync(cacheFile, JSON.stringify({ roof: { watts: 602 } }));
+
+		assert.strictEqual(new ReadingsCache(storagePath, createLog()).get('roof'), null);
+	});
+
+	it('shares one cache per storage path', () => {
+		assert.strictEqual(getReadingsCache(storagePath, silentLog), getReadingsCache(storagePath, silentLog));
+	});
+});
+
+describe('stale-while-revalidate', () => {
+	let ecu;
+	let api;
+	let config;
+	let poller;
+	let errors;
+
+	beforeEach(async () => {
+		errors = captureErrors();
+		ecu = new FakeEcuServer();
+		// The first poll stays pending until the end of the test
+		ecu.behaviour = 'silent';
+		await ecu.start();
+		api = new FakeHomebridgeApi();
+		config = { platform: 'APSystemsInverterPlatform', name: 'Roof', dataSource: 'local', ecuHost: '127.0.0.1', ecuPort: ecu.port, inverterAccessories: 'inverter' };
+		// Readings of an earlier run, an hour old
+		getReadingsCache(api.storagePath, silentLog).set(buildAccount(config).key, {
+			watts: 300, kwh: 1.2, inverters: [{ uid: '801000012345', power: [152, 148] }], timestamp: Date.now() - 60 * 60 * 1000
+		});
+	});
+
+	afterEach(async () => {
+		api.emit('shutdown');
+		await ecu.stop();
+		// The pending poll fails once the ECU is gone
+		await poller.pending;
+		errors.restore();
+		api.cleanup();
+	});
+
+	it('serves the restored readings while the first poll is pending', async () => {
+		const platform = new api.Platform(silentLog, config, api);
+		api.emit('didFinishLaunching');
+		poller = platform.pollers.get(buildAccount(config).key);
+		const accessory = [...platform.cachedAccessories.values()].find(cached => cached.context.uid);
+		const level = accessory.getService(api.hap.Service.LightSensor).getCharacteristic(api.hap.Characteristic.CurrentAmbientLightLevel);
+
+		assert.ok(poller.pending);
+		assert.strictEqual(poller.readings.restored, true);
+		assert.strictEqual(await level.handleGetRequest(), 300);
+		assert.strictEqual(poller.getDataAge() >= 3600, true);
+
+		// The read did not start a second poll
+		await new Promise(resolve => setTimeout(resolve, 50));
+		assert.strictEqual(ecu.commands.length, 1);
+	});
+});
@@ -0,0 +1,87 @@
+const assert = require('assert');
+const { execFile } = require('child_process');
+const path = require('path');
+const { FakeEmaServer, DEMO_USER_ID, USERNAME, ECU_ID } = require('./helpers/fake-ema');
+
+const CLI = path.join(__dirname, '..', 'bin', 'apsystems-inverter.js');
+
+// Run the command without blocking the fake server in this process
+const run = (args, env) => new Promise((resolve) => {
+	execFile(process.execPath, [CLI, ...args], { env: { ...process.env, ...env }, timeout: 20000 }, (error, stdout, stderr) => {
+		resolve({ code: error ? error.code : 0, stdout, stderr });
+	});
+});
+
+describe('check command', function () {
+	this.timeout(20000);
+	let server;
+
+	beforeEach(async () => {
+		server = new FakeEmaServer();
+		await server.start();
+	});
+
+	afterEach(async () => {
+		await server.stop();
+	});
+
+	it('walks through the demo login and the dashboard endpoints', async () => {
+		const { code, stdout, stderr } = await run(['check', '--demo-user-id', DEMO_USER_ID, '--server', server.url, '--timezone', 'Europe/Amsterdam']);
+
+		assert.strictEqual(code, 0, stdout + stderr);
+		assert.match(stdout, /== Demo login/);
+		assert.match(stdout, new RegExp(`URL: ${server.url}/ema/intoDemoUser\\.action\\?id=${DEMO_USER_ID}`));
+		assert.match(stdout, /OK {4}\d+ cookie\(s\) obtained/);
+		assert.match(stdout, /== Daily energy \(last week\)/);
+		assert.match(stdout, /== Power curve \(today\)/);
+		assert.match(stdout, /== Result\n {3}watts: 1534\n {3}kwh: 12.34\n/);
+		assert.match(stdout, /\nReadings received/);
+		assert.doesNotMatch(stdout, /FAIL/);
+		// Session cookies are masked
+		assert.doesNotMatch(stdout, /JSESSIONID = [0-9a-f]{16}/);
+	});
+
+	it('queries the legacy API', async () => {
+		const { code, stdout } = await run(['check', '--ecu-id', ECU_ID, '--legacy', '--server', server.url]);
+
+		assert.strictEqual(code, 0, stdout);
+		assert.match(stdout, new RegExp(`== Legacy getPowerInfo for ECU ${ECU_ID}`));
+		assert.match(stdout, /OK {4}HTTP 200/);
+	});
+
+	it('exits with 1 and names the failed step when the login is rejected', async () => {
+		const { code, stdout } = await run(['check', '--username', USERNAME, '--server', server.url], { APSYSTEMS_PASSWORD: 'wrong password' });
+
+		assert.strictEqual(code, 1, stdout);
+		assert.match(stdout, new RegExp(`== Account login as "${USERNAME}"`));
+		assert.match(stdout, /FAIL {2}login failed: authentication failed/);
+		assert.match(stdout, /No readings/);
+		assert.match(stdout, /\nCheck failed: login failed/);
+		assert.doesNotMatch(stdout, /== Daily energy/);
+	});
+
+	it('exits with 2 for options that are not a valid account', async () => {
+		const { code, stdout, stderr } = await run(['check', '--server', server.url]);
+
+		assert.strictEqual(code, 2);
+		assert.strictEqual(stdout, '');
+		assert.match(stderr, /^Invalid options: 1 configuration problem\(s\)/);
+		assert.match(stderr, /The dashboard data source needs username and password, demoUserId or demoLoginUrl/);
+	});
+
+	it('exits with 2 and the usage for unknown arguments', async () => {
+		const { code, stderr } = await run(['check', '--demo-user-id', DEMO_USER_ID, '--verbose']);
+
+		assert.strictEqual(code, 2);
+		assert.match(stderr, /Unknown argument "--verbose"/);
+		assert.match(stderr, /Usage: apsystems-inverter check/);
+	});
+
+	it('prints the usage with --help', async () => {
+		const { code, stdout } = await run(['--help']);
+
+		assert.strictEqual(code, 0);
+		assert.match(stdout, /^Usage: apsystems-inverter check \[options\]/);
+		assert.match(stdout, /--server <url>/);
+	});
+});
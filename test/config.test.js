@@ -0,0 +1,167 @@
+const assert = require('assert');
+const { validateAccountConfig, validatePlatformConfig } = require('../lib/config');
+
+describe('configuration validation', () => {
+	const DEMO = { name: 'Roof', demoUserId: 'demo-7f3a9c' };
+
+	it('accepts a complete dashboard account without messages', () => {
+		const result = validateAccountConfig({ ...DEMO, pollInterval: 300, serviceType: 'outlet' });
+
+		assert.deepStrictEqual(result.errors, []);
+		assert.deepStrictEqual(result.warnings, []);
+		assert.deepStrictEqual(result.migrations, []);
+	});
+
+	it('never changes the configuration it checks', () => {
+		const config = { ...DEMO, pollInterval: 10, apiPort: 8073 };
+		validateAccountConfig(config);
+
+		assert.deepStrictEqual(config, { ...DEMO, pollInterval: 10, apiPort: 8073 });
+	});
+
+	describe('data source migration', () => {
+		it('reads an ECU ID without a dashboard login as the legacy API', () => {
+			const result = validateAccountConfig({ name: 'Roof', ecuId: '216200001234' });
+
+			assert.strictEqual(result.config.dataSource, 'legacy');
+			assert.strictEqual(result.migrations.length, 1);
+			assert.match(result.migrations[0], /"dataSource": "legacy"/);
+			assert.deepStrictEqual(result.errors, []);
+		});
+
+		it('reads OpenAPI credentials without a data source as the OpenAPI', () => {
+			const result = validateAccountConfig({ name: 'Roof', appId: 'app', appSecret: 'secret', sid: 'AZ1234', ecuId: '216200001234' });
+
+			assert.strictEqual(result.config.dataSource, 'openapi');
+			assert.match(result.migrations[0], /0\.5 OpenAPI configuration/);
+			assert.deepStrictEqual(result.errors, []);
+		});
+
+		it('keeps the dashboard when a login is set next to an ECU ID', () => {
+			const result = validateAccountConfig({ ...DEMO, ecuId: '216200001234' });
+
+			assert.strictEqual(result.config.dataSource, undefined);
+			assert.deepStrictEqual(result.migrations, []);
+			assert.match(result.warnings[0], /ecuId is only used by the legacy and openapi data sources/);
+		});
+
+		it('is not filled in by the settings form, which would skip the migration', () => {
+			const schema = require('../config.schema.json');
+			const dataSource = schema.schema.properties.accounts.items.properties.dataSource;
+
+			assert.strictEqual(dataSource.default, undefined);
+			assert.notStrictEqual(dataSource.required, true);
+		});
+
+		it('leaves an explicit data source alone', () => {
+			const result = validateAccountConfig({ name: 'Roof', dataSource: 'local', ecuHost: '192.168.1.20', ecuId: '216200001234' });
+
+			assert.strictEqual(result.config.dataSource, 'local');
+			assert.deepStrictEqual(result.migrations, []);
+		});
+
+		it('reads inverter_data in the wrong case', () => {
+			const result = validateAccountConfig({ ...DEMO, inverter_data: 'kwh' }, { accessory: true });
+
+			assert.strictEqual(result.config.inverter_data, 'Kwh');
+			assert.match(result.migrations[0], /inverter_data "kwh" is read as "Kwh"/);
+		});
+
+		it('drops the deprecated legacy API address with a warning', () => {
+			const result = validateAccountConfig({ name: 'Roof', ecuId: '216200001234', apiBaseUrl: 'http://api.apsystemsema.com', apiPort: 8073 });
+
+			assert.strictEqual(result.config.apiBaseUrl, undefined);
+			assert.strictEqual(result.config.apiPort, undefined);
+			assert.deepStrictEqual(result.warnings, ['apiBaseUrl, apiPort are deprecated and ignored, the legacy API address is fixed since 0.6: remove them from the configuration']);
+			assert.deepStrictEqual(result.errors, []);
+		});
+	});
+
+	describe('errors', () => {
+		const errorsOf = (config, options) => validateAccountConfig(config, options).errors;
+
+		it('names a missing dashboard login', () => {
+			assert.match(errorsOf({ name: 'Roof' })[0], /needs username and password, demoUserId or demoLoginUrl/);
+			assert.match(errorsOf({ name: 'Roof', username: 'owner@example.com' })[0], /username and password must both be set/);
+		});
+
+		it('names the missing options of each data source', () => {
+			assert.deepStrictEqual(errorsOf({ name: 'Roof', dataSource: 'openapi' }), [
+				'appId is required for the OpenAPI v2',
+				'appSecret is required for the OpenAPI v2',
+				'sid is required for the OpenAPI v2',
+				'eid (or ecuId) is required for the OpenAPI v2'
+			]);
+			assert.match(errorsOf({ name: 'Roof', dataSource: 'local' })[0], /ecuHost \(the ECU IP address\) is required/);
+			assert.match(errorsOf({ name: 'Roof', dataSource: 'legacy' })[0], /ecuId is required for the legacy API/);
+			assert.match(errorsOf({ name: 'Roof', dataSource: 'cloud' })[0], /dataSource "cloud" is not one of/);
+		});
+
+		it('lists every problem at once, with the path of the account', () => {
+			const errors = errorsOf({ ...DEMO, serviceType: 'lamp', pollInterval: 'often', history: 'yes' }, { path: 'accounts[1]: ' });
+
+			assert.deepStrictEqual(errors, [
+				'accounts[1]: pollInterval must be a whole number, got "often"',
+				'accounts[1]: serviceType "lamp" is not one of lightsensor, outlet',
+				'accounts[1]: history must be true or false'
+			]);
+		});
+
+		it('rejects an unknown data type and a lux range the wrong way round', () => {
+			const errors = errorsOf({ ...DEMO, inverter_data: 'Volts', min_lux: 100, max_lux: 10 }, { accessory: true });
+
+			assert.match(errors[0], /inverter_data "Volts" is not one of/);
+			assert.strictEqual(errors[1], 'min_lux (100) must be below max_lux (10)');
+		});
+
+		it('checks the triggers, tariffs and consumption meter', () => {
+			const errors = errorsOf({
+				...DEMO,
+				triggers: [{ name: 'High' }],
+				tariff: -1,
+				consumption: { url: 'ftp://meter' }
+			});
+
+			assert.ok(errors.includes('triggers[0]: threshold must be a number (W, or kWh for energy values)'));
+			assert.ok(errors.some(error => /tariff must be a number of at least 0/.test(error)));
+			assert.ok(errors.some(error => /consumption: url "ftp:\/\/meter" must start with/.test(error)));
+		});
+	});
+
+	describe('warnings', () => {
+		it('warns about unknown options and raises a short poll interval', () => {
+			const result = validateAccountConfig({ ...DEMO, pollIntervall: 60, pollInterval: 30 });
+
+			assert.deepStrictEqual(result.warnings, [
+				'Unknown option "pollIntervall" is ignored',
+				'pollInterval 30 is below the minimum, 60 is used'
+			]);
+			assert.strictEqual(result.config.pollInterval, 60);
+		});
+
+		it('turns off per-inverter accessories on the dashboard', () => {
+			const result = validateAccountConfig({ ...DEMO, inverterAccessories: 'inverter' });
+
+			assert.strictEqual(result.config.inverterAccessories, 'none');
+			assert.match(result.warnings[0], /need the local or openapi data source/);
+		});
+	});
+
+	describe('platform', () => {
+		it('does not start MQTT or metrics with invalid settings', () => {
+			const result = validatePlatformConfig({ metricsPort: 'http', mqtt: { topicPrefix: 'solar' } });
+
+			assert.strictEqual(result.config.metricsPort, undefined);
+			assert.strictEqual(result.config.mqtt, undefined);
+			assert.deepStrictEqual(result.errors, [
+				'metricsPort must be a port number, the metrics server is not started',
+				'mqtt: url is required, for example "mqtt://192.168.1.10:1883"',
+				'MQTT publishing is not started'
+			]);
+		});
+
+		it('rejects accounts that are not a list', () => {
+			assert.deepStrictEqual(validatePlatformConfig({ accounts: { name: 'Roof' } }).errors, ['accounts must be a list']);
+		});
+	});
+});
@@ -0,0 +1,175 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const http = require('http');
+const FakeTimers = require('@sinonjs/fake-timers');
+const { readMeterValue, getBalance, ConsumptionMeter, MEASURES_CONSUMPTION, MEASURES_GRID, METER_STALE_AFTER } = require('../lib/consumption');
+const { TriggerSensor } = require('../index.js');
+const { FakeHomebridgeApi, silentLog } = require('./helpers/homebridge');
+
+// Logger that keeps the messages
+const createLog = () => {
+	const messages = [];
+	const log = (...args) => messages.push(args.join(' '));
+	log.warn = log;
+	log.error = log;
+	log.messages = messages;
+	return log;
+};
+
+describe('consumption meter', () => {
+	it('reads the power at a path of the meter message', () => {
+		assert.strictEqual(readMeterValue({ emeters: [{ power: 512.3 }] }, 'emeters.0.power'), 512.3);
+		assert.strictEqual(readMeterValue({ power: '250' }, 'power'), 250);
+		assert.strictEqual(readMeterValue(-140, ''), -140);
+		assert.strictEqual(readMeterValue({ power: 'n/a' }, 'power'), null);
+		assert.strictEqual(readMeterValue({}, 'emeters.0.power'), null);
+	});
+
+	describe('balance', () => {
+		it('exports what the household does not use', () => {
+			assert.deepStrictEqual(getBalance(1500, 600, MEASURES_CONSUMPTION),
+				{ consumptionWatts: 600, exportWatts: 900, importWatts: 0, selfConsumptionRatio: 40 });
+		});
+
+		it('imports what the production does not cover', () => {
+			assert.deepStrictEqual(getBalance(400, 1000, MEASURES_CONSUMPTION),
+				{ consumptionWatts: 1000, exportWatts: 0, importWatts: 600, selfConsumptionRatio: 100 });
+		});
+
+		it('reads a grid meter as negative while exporting', () => {
+			assert.deepStrictEqual(getBalance(1500, -900, MEASURES_GRID),
+				{ consumptionWatts: 600, exportWatts: 900, importWatts: 0, selfConsumptionRatio: 40 });
+		});
+
+		it('has no ratio at night and no balance without both powers', () => {
+			assert.strictEqual(getBalance(0, 300, MEASURES_CONSUMPTION).selfConsumptionRatio, 0);
+			assert.strictEqual(getBalance(null, 300, MEASURES_CONSUMPTION).exportWatts, null);
+			assert.strictEqual(getBalance(1500, null, MEASURES_CONSUMPTION).importWatts, null);
+		});
+	});
+
+	describe('HTTP meter', () => {
+		let server;
+		let body;
+		let url;
+
+		beforeEach((done) => {
+			body = JSON.stringify({ total_power: 734 });
+			server = http.createServer((request, response) => {
+				response.writeHead(200, { 'Content-Type': 'application/json' });
+				response.end(body);
+			});
+			server.listen(0, '127.0.0.1', () => {
+				url = `http://127.0.0.1:${server.address().port}/status`;
+				done();
+			});
+		});
+
+		afterEach((done) => {
+			server.closeAllConnections();
+			server.close(done);
+		});
+
+		it('reads the endpoint when started', async () => {
+			const meter = new ConsumptionMeter(createLog(), { url: url, path: 'total_power', interval: 60 }, 'Roof');
+			const update = new Promise(resolve => meter.once('update', resolve));
+			meter.start();
+
+			assert.strictEqual(await update, 734);
+			meter.stop();
+			assert.strictEqual(meter.getWatts(Date.now()), 734);
+			assert.strictEqual(meter.getWatts(Date.now() + 10 * 60 * 1000), null);
+		});
+
+		it('logs a message without the value once', async () => {
+			body = '{"status":"booting"}';
+			const log = createLog();
+			const meter = new ConsumptionMeter(log, { url: url, path: 'total_power', interval: 60 }, 'Roof');
+
+			await meter.read();
+			await meter.read();
+
+			assert.strictEqual(log.messages.length, 1);
+			assert.match(log.messages[0], /no number at "total_power"/);
+			assert.strictEqual(meter.getWatts(Date.now()), null);
+		});
+
+		it('reads again only after the previous read has settled', async () => {
+			let open = 0;
+			let mostOpen = 0;
+			let requests = 0;
+			server.removeAllListeners('request');
+			server.on('request', (request, response) => {
+				requests++;
+				open++;
+				mostOpen = Math.max(mostOpen, open);
+				// A meter slower than the interval
+				setTimeout(() => {
+					open--;
+					response.end(body);
+				}, 60);
+			});
+			const meter = new ConsumptionMeter(createLog(), { url: url, path: 'total_power', interval: 0.01 }, 'Roof');
+			meter.start();
+			await new Promise(resolve => setTimeout(resolve, 300));
+			meter.stop();
+
+			assert.ok(requests >= 2, `${requests} request(s)`);
+			assert.strictEqual(mostOpen, 1);
+		});
+	});
+
+	describe('stale meter', () => {
+		let clock;
+
+		beforeEach(() => {
+			clock = FakeTimers.install({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+		});
+
+		afterEach(() => {
+			clock.uninstall();
+		});
+
+		it('reports a stale reading once it is too old to use', () => {
+			const meter = new ConsumptionMeter(createLog(), { url: 'mqtt://127.0.0.1', topic: 'meter' }, 'Roof');
+			let stale = 0;
+			meter.on('stale', () => stale++);
+			meter.receive('600');
+			clock.tick(METER_STALE_AFTER - 1000);
+			meter.receive('650');
+			clock.tick(METER_STALE_AFTER - 1000);
+			assert.strictEqual(stale, 0);
+
+			clock.tick(1000);
+			assert.strictEqual(stale, 1);
+			assert.strictEqual(meter.getWatts(Date.now() + 1), null);
+			meter.stop();
+		});
+
+		it('turns the Exporting trigger off without a balance', () => {
+			const api = new FakeHomebridgeApi();
+			api.cleanup();
+			const { Service, Characteristic } = api.hap;
+			const poller = new EventEmitter();
+			poller.readings = null;
+			poller.isResponding = () => true;
+			const service = new Service.OccupancySensor('Roof Exporting');
+			const sensor = new TriggerSensor(silentLog, service, poller, {
+				name: 'Roof Exporting', inverter_data: 'ExportWatts', threshold: 50, hysteresis: 25, minDwell: 60
+			});
+			const detected = () => service.getCharacteristic(Characteristic.OccupancyDetected).value;
+
+			poller.emit('balance', getBalance(1500, 600, MEASURES_CONSUMPTION));
+			assert.strictEqual(detected(), Characteristic.OccupancyDetected.OCCUPANCY_DETECTED);
+
+			poller.emit('balance', getBalance(1500, null, MEASURES_CONSUMPTION));
+			assert.strictEqual(detected(), Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED);
+			assert.strictEqual(clock.countTimers(), 0);
+
+			// The meter coming back sets the state without waiting for minDwell
+			poller.emit('balance', getBalance(1500, 600, MEASURES_CONSUMPTION));
+			assert.strictEqual(detected(), Characteristic.OccupancyDetected.OCCUPANCY_DETECTED);
+			sensor.stop();
+		});
+	});
+});
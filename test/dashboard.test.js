@@ -0,0 +1,151 @@
+const assert = require('assert');
+const {
+	buildAccount,
+	createApiClient,
+	getDemoSessionCookies,
+	getAccountSessionCookies,
+	getInverterReadings
+} = require('../index.js');
+const { FakeEmaServer, readFixture, captureErrors, DEMO_USER_ID, USERNAME, PASSWORD } = require('./helpers/fake-ema');
+
+describe('web dashboard', () => {
+	let server;
+	let errors;
+
+	beforeEach(async () => {
+		server = new FakeEmaServer();
+		await server.start();
+		errors = captureErrors();
+	});
+
+	afterEach(async () => {
+		errors.restore();
+		await server.stop();
+	});
+
+	const createClient = (config) => {
+		const account = buildAccount(config);
+		return { account, client: createApiClient(account, { dashboard: server.url }) };
+	};
+
+	describe('demo login', () => {
+		it('follows the redirects and collects the session cookies', async () => {
+			const { client } = createClient({ demoUserId: DEMO_USER_ID });
+			const cookies = await getDemoSessionCookies(client, null, DEMO_USER_ID);
+
+			assert.deepStrictEqual(Object.keys(cookies).sort(), ['JSESSIONID', 'locale', 'userType']);
+			assert.strictEqual(client.fault, undefined);
+		});
+
+		it('returns no cookies for an unknown demo user', async () => {
+			const { client } = createClient({ demoUserId: 'unknown' });
+			const cookies = await getDemoSessionCookies(client, null, 'unknown');
+
+			assert.deepStrictEqual(cookies, {});
+		});
+
+		it('accepts a complete demo login link', async () => {
+			const { client } = createClient({ demoLoginUrl: `${server.url}/ema/intoDemoUser.action?id=${DEMO_USER_ID}` });
+			const cookies = await getDemoSessionCookies(client, `${server.url}/ema/intoDemoUser.action?id=${DEMO_USER_ID}`);
+
+			assert.ok(cookies.JSESSIONID);
+		});
+	});
+
+	describe('account login', () => {
+		it('logs in with username and password', async () => {
+			const { client } = createClient({ username: USERNAME, password: PASSWORD });
+			const cookies = await getAccountSessionCookies(client, USERNAME, PASSWORD);
+
+			assert.ok(cookies.JSESSIONID);
+		});
+
+		it('accepts a login that stays on the login URL', async () => {
+			server.loginForwardPage = true;
+			const { client } = createClient({ username: USERNAME, password: PASSWORD });
+			const cookies = await getAccountSessionCookies(client, USERNAME, PASSWORD);
+
+			assert.ok(cookies.JSESSIONID);
+			assert.strictEqual(client.fault, undefined);
+		});
+
+		it('reports a rejected login as an authentication fault', async () => {
+			const { client } = createClient({ username: USERNAME, password: 'wrong' });
+			const cookies = await getAccountSessionCookies(client, USERNAME, 'wrong');
+
+			assert.deepStrictEqual(cookies, {});
+			assert.strictEqual(client.fault.kind, 'auth');
+			assert.ok(!errors.messages.join('\n').includes('wrong'), 'the password is not logged');
+		});
+	});
+
+	describe('readings', () => {
+		it('combines the daily, production and monthly endpoints', async () => {
+			const { account, client } = createClient({ demoUserId: DEMO_USER_ID });
+			const readings = await getInverterReadings(client, account);
+
+			assert.strictEqual(readings.watts, 1534);
+			assert.strictEqual(readings.kwh, 12.34);
+			assert.strictEqual(readings.yesterdayKwh, 22.15);
+			assert.strictEqual(readings.lifetimeKwh, 9876.54);
+			assert.strictEqual(readings.yearKwh, 3793.1);
+			assert.strictEqual(readings.peakWatts, 602);
+			assert.strictEqual(readings.powerCurve.length, 6);
+			assert.strictEqual(readings.daily.length, 7);
+			assert.strictEqual(readings.daily[6].time, new Date().setHours(0, 0, 0, 0));
+		});
+
+		it('reads the power curve when the production info has no power', async () => {
+			server.setAjaxResponse('getDashboardProductionInfoAjax', { body: JSON.stringify({ lastPower: '', lifetimeEnergy: '9876.54' }) });
+			const { account, client } = createClient({ demoUserId: DEMO_USER_ID });
+			const readings = await getInverterReadings(client, account);
+
+			assert.strictEqual(readings.watts, 602);
+		});
+
+		it('reuses the session between polls', async () => {
+			const { account, client } = createClient({ username: USERNAME, password: PASSWORD });
+			await getInverterReadings(client, account);
+			await getInverterReadings(client, account);
+
+			assert.strictEqual(server.logins, 1);
+		});
+
+		it('logs in again once the session has expired', async () => {
+			const { account, client } = createClient({ demoUserId: DEMO_USER_ID });
+			await getInverterReadings(client, account);
+			server.expireSessions();
+			const readings = await getInverterReadings(client, account);
+
+			assert.strictEqual(server.logins, 2);
+			assert.strictEqual(readings.kwh, 12.34);
+		});
+
+		it('reports an HTML error page', async () => {
+			server.setAjaxResponse('getDashboardUserDailyEnergyInLastWeekAjax', { type: 'text/html', body: readFixture('ema-error-page.html') });
+			const { account, client } = createClient({ demoUserId: DEMO_USER_ID });
+			const readings = await getInverterReadings(client, account);
+
+			assert.strictEqual(readings, null);
+			assert.strictEqual(client.fault.kind, 'html-error');
+		});
+
+		it('reports an answer that is not JSON', async () => {
+			server.setAjaxResponse('getDashboardUserDailyEnergyInLastWeekAjax', { type: 'text/plain', body: 'maintenance' });
+			const { account, client } = createClient({ demoUserId: DEMO_USER_ID });
+			const readings = await getInverterReadings(client, account);
+
+			assert.strictEqual(readings, null);
+			assert.strictEqual(client.fault.kind, 'schema');
+		});
+
+		it('reports a failed login without requesting data', async () => {
+			const { account, client } = createClient({ demoUserId: 'unknown' });
+			const readings = await getInverterReadings(client, account);
+
+			assert.strictEqual(readings, null);
+			assert.strictEqual(client.fault.kind, 'auth');
+			assert.ok(!server.requests.some(request => request.path.includes('/ajax/')));
+		});
+	});
+});
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const { getPrice, getAveragePrice, getDerivedReadings, describeDerived } = require('../lib/derived');
+
+const MINUTE = 60 * 1000;
+const at = (hour, minute = 0) => Date.UTC(2025, 9, 18, hour, minute);
+
+describe('derived values', () => {
+	const tariff = {
+		price: 0.30,
+		periods: [
+			{ from: '17:00', to: '21:00', price: 0.45 },
+			{ from: '23:00', to: '07:00', price: 0.15 }
+		]
+	};
+
+	it('prices a time by the time-of-use periods at the site', () => {
+		assert.strictEqual(getPrice(tariff, at(12), 'UTC'), 0.30);
+		assert.strictEqual(getPrice(tariff, at(18), 'UTC'), 0.45);
+		assert.strictEqual(getPrice(tariff, at(21), 'UTC'), 0.30);
+		// Across midnight
+		assert.strictEqual(getPrice(tariff, at(2), 'UTC'), 0.15);
+		// 16:00 UTC is 18:00 in Amsterdam
+		assert.strictEqual(getPrice(tariff, at(16), 'Europe/Amsterdam'), 0.45);
+	});
+
+	it('weighs the price of today\'s energy by the power curve', () => {
+		// 1 kW from 16:00 to 18:00: one hour at 0.30, one hour at 0.45
+		const curve = [0, 30, 60, 90, 120].map(minutes => ({ time: at(16) + minutes * MINUTE, watts: 1000 }));
+
+		assert.strictEqual(getAveragePrice(tariff, curve, 'UTC').toFixed(3), '0.375');
+		assert.strictEqual(getAveragePrice(tariff, null, 'UTC'), 0.30);
+		assert.strictEqual(getAveragePrice({ price: 0.30, periods: [] }, curve, 'UTC'), 0.30);
+	});
+
+	it('splits the energy into used at home and exported', () => {
+		const settings = { tariff: { price: 0.30, periods: [] }, feedInTariff: 0.08, selfConsumption: 40, co2Factor: 0.35, timezone: 'UTC' };
+		const derived = getDerivedReadings({ kwh: 10, monthKwh: 200, lifetimeKwh: 9876.54 }, settings);
+
+		assert.strictEqual(derived.savings, 1.2);
+		assert.strictEqual(derived.feedInCredit, 0.48);
+		assert.strictEqual(derived.co2Avoided, 3.5);
+		assert.strictEqual(derived.monthSavings, 24);
+		assert.strictEqual(derived.lifetimeCo2Avoided, 3456.79);
+	});
+
+	it('leaves out values without energy or settings', () => {
+		const derived = getDerivedReadings({ kwh: 10, monthKwh: null }, { tariff: { price: 0.30, periods: [] }, feedInTariff: null, selfConsumption: null, co2Factor: null });
+
+		// Without selfConsumption all energy is used at home
+		assert.strictEqual(derived.savings, 3);
+		assert.strictEqual(derived.monthSavings, null);
+		assert.strictEqual(derived.feedInCredit, null);
+		assert.strictEqual(derived.co2Avoided, null);
+	});
+
+	it('describes the values derived from an energy reading', () => {
+		const readings = { kwh: 10, savings: 3.7, feedInCredit: null, co2Avoided: 4.32 };
+
+		assert.strictEqual(describeDerived(readings, 'kwh', 'EUR'), 'saved 3.70 EUR, 4.32 kg CO2 avoided');
+		assert.strictEqual(describeDerived(readings, 'watts', 'EUR'), '');
+	});
+});
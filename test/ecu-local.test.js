@@ -0,0 +1,135 @@
+const assert = require('assert');
+const {
+	ECU_QUERY_COMMAND,
+	sendEcuCommand,
+	parseEcuInfo,
+	parseInverterData,
+	getLocalEcuReadings
+} = require('../lib/ecu-local');
+const { FakeEcuServer, readFrame } = require('./helpers/fake-ecu');
+const { captureErrors } = require('./helpers/fake-ema');
+
+describe('local ECU', () => {
+	let server;
+	let errors;
+
+	beforeEach(async () => {
+		server = new FakeEcuServer();
+		await server.start();
+		errors = captureErrors();
+	});
+
+	afterEach(async () => {
+		errors.restore();
+		await server.stop();
+	});
+
+	const getReadings = async () => {
+		const report = {};
+		return { readings: await getLocalEcuReadings('127.0.0.1', server.port, report), fault: report.fault };
+	};
+
+	describe('readings', () => {
+		it('reads the system totals and the channels of each inverter type', async () => {
+			const { readings, fault } = await getReadings();
+
+			assert.strictEqual(fault, undefined);
+			assert.strictEqual(readings.watts, 602);
+			assert.strictEqual(readings.kwh, 4.32);
+			assert.strictEqual(readings.ecu.ecuId, '216200001234');
+			assert.strictEqual(readings.ecu.lifetimeKwh, 12345.6);
+			assert.deepStrictEqual(server.commands, [ECU_QUERY_COMMAND, 'APS1100280002216200001234END\n']);
+			assert.deepStrictEqual(readings.inverters.map(({ uid, power, voltage }) => ({ uid, power, voltage })), [
+				// YC600: two channels
+				{ uid: '408000012345', power: [152, 148], voltage: [231, 230] },
+				// YC1000: three phases and a fourth channel
+				{ uid: '501000054321', power: [201, 199, 203, 0], voltage: [229, 231, 230] },
+				// QS1: four channels on one voltage
+				{ uid: '801000067890', power: [95, 97, 101, 0], voltage: [232] }
+			]);
+			assert.strictEqual(readings.inverters[0].frequency, 50);
+			assert.strictEqual(readings.inverters[0].temperature, 35);
+		});
+
+		it('keeps the system totals when an inverter type is unknown', async () => {
+			server.responses['0002'] = readFrame('ecu-inverter-response-unknown-type.hex');
+			const { readings, fault } = await getReadings();
+
+			assert.strictEqual(fault, undefined);
+			assert.strictEqual(readings.watts, 602);
+			assert.deepStrictEqual(readings.inverters, []);
+			assert.ok(errors.messages.some(message => message.includes('Unsupported inverter type a0')));
+		});
+
+		it('keeps the system totals when the inverter query has a non-00 status', async () => {
+			const frame = Buffer.from(server.responses['0002']);
+			frame.write('01', 9, 'ascii');
+			server.responses['0002'] = frame;
+			const { readings } = await getReadings();
+
+			assert.strictEqual(readings.watts, 602);
+			assert.deepStrictEqual(readings.inverters, []);
+			assert.ok(errors.messages.some(message => message.includes('Inverter query returned status 01')));
+		});
+
+		it('reports a frame cut short as an unexpected format', async () => {
+			server.truncateAt = 40;
+			const { readings, fault } = await getReadings();
+
+			assert.strictEqual(readings, null);
+			assert.strictEqual(fault.kind, 'schema');
+			assert.match(fault.message, /ECU query response length 39 does not match declared length 0088/);
+		});
+
+		it('reports a connection closed without data as unreachable', async () => {
+			server.behaviour = 'close';
+			const { readings, fault } = await getReadings();
+
+			assert.strictEqual(readings, null);
+			assert.strictEqual(fault.kind, 'network');
+			assert.match(fault.message, /closed the connection without answering/);
+		});
+	});
+
+	describe('sendEcuCommand', () => {
+		it('returns the frame as soon as its declared length has arrived', async () => {
+			const frame = await sendEcuCommand('127.0.0.1', server.port, ECU_QUERY_COMMAND);
+
+			assert.deepStrictEqual(frame, server.responses['0001']);
+		});
+
+		it('joins a response split over several packets', async () => {
+			// Packets of 4 bytes, 5ms apart
+			server.chunkSize = 4;
+			const frame = await sendEcuCommand('127.0.0.1', server.port, ECU_QUERY_COMMAND);
+
+			assert.deepStrictEqual(frame, server.responses['0001']);
+		});
+
+		it('gives up when the ECU does not answer in time', async () => {
+			server.behaviour = 'silent';
+
+			await assert.rejects(sendEcuCommand('127.0.0.1', server.port, ECU_QUERY_COMMAND, 100), /did not answer within 100ms/);
+		});
+	});
+
+	describe('frame checks', () => {
+		it('rejects a frame whose declared length does not match', () => {
+			const frame = Buffer.from(readFrame('ecu-query-response.hex'));
+			frame.write('0090', 5, 'ascii');
+
+			assert.throws(() => parseEcuInfo(frame), /length 88 does not match declared length 0090/);
+		});
+
+		it('rejects a response that is not an ECU frame', () => {
+			assert.throws(() => parseEcuInfo(Buffer.from('HTTP/1.1 400 Bad Request\r\n')), /not an ECU frame/);
+		});
+
+		it('rejects an inverter response with a non-00 status', () => {
+			const frame = Buffer.from(readFrame('ecu-inverter-response.hex'));
+			frame.write('01', 9, 'ascii');
+
+			assert.throws(() => parseInverterData(frame), /returned status 01/);
+		});
+	});
+});
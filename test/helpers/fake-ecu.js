@@ -0,0 +1,92 @@
+// Local stand-in for an ECU-R / ECU-C on the LAN, answering the ECU and
+// inverter queries with the frames recorded in test/fixtures
+const net = require('net');
+const { readFixture } = require('./fake-ema');
+
+/**
+ * @param {name} Fixture holding a frame as hex
+ * @returns {Buffer} The frame
+ */
+const readFrame = (name) => Buffer.from(readFixture(name).replace(/\s+/g, ''), 'hex');
+
+// Answers by command id, bytes 9-12 of the command frame
+const DEFAULT_RESPONSES = {
+	'0001': 'ecu-query-response.hex',
+	'0002': 'ecu-inverter-response.hex'
+};
+
+class FakeEcuServer {
+	constructor() {
+		this.responses = {};
+		Object.keys(DEFAULT_RESPONSES).forEach(id => this.responses[id] = readFrame(DEFAULT_RESPONSES[id]));
+		// How the ECU answers: 'frame', 'close' without data, or 'silent'
+		this.behaviour = 'frame';
+		// Send the frame in packets of this many bytes, null for one packet
+		this.chunkSize = null;
+		// Close the connection after this many bytes of the frame, null to send it whole
+		this.truncateAt = null;
+		this.commands = [];
+		this.sockets = new Set();
+		this.server = net.createServer(socket => this.handle(socket));
+	}
+
+	/**
+	 * @returns {number} Port of the running server
+	 */
+	start() {
+		return new Promise((resolve) => {
+			this.server.listen(0, '127.0.0.1', () => {
+				this.port = this.server.address().port;
+				resolve(this.port);
+			});
+		});
+	}
+
+	stop() {
+		this.sockets.forEach(socket => socket.destroy());
+		return new Promise(resolve => this.server.close(resolve));
+	}
+
+	handle(socket) {
+		this.sockets.add(socket);
+		socket.on('close', () => this.sockets.delete(socket));
+		socket.on('error', () => {});
+
+		let command = '';
+		socket.on('data', data => {
+			command += data.toString('ascii');
+			if (!command.endsWith('END\n')) {
+				return;
+			}
+			this.commands.push(command);
+			this.answer(socket, this.responses[command.slice(9, 13)]);
+		});
+	}
+
+	answer(socket, frame) {
+		if (this.behaviour === 'close' || !frame) {
+			return socket.end();
+		}
+		if (this.behaviour === 'silent') {
+			return;
+		}
+		if (this.truncateAt !== null) {
+			return socket.end(frame.slice(0, this.truncateAt));
+		}
+
+		// Like the ECU, keep the connection open after the frame
+		const size = this.chunkSize || frame.length;
+		const writeFrom = (offset) => {
+			if (offset < frame.length && !socket.destroyed) {
+				socket.write(frame.slice(offset, offset + size));
+				setTimeout(() => writeFrom(offset + size), 5);
+			}
+		};
+		writeFrom(0);
+	}
+}
+
+module.exports = {
+	FakeEcuServer,
+	readFrame
+};
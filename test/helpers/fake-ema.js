@@ -0,0 +1,289 @@
+// Local stand-in for the EMA web dashboard, the legacy API and the OpenAPI v2,
+// answering with the response fixtures in test/fixtures
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { getSiteDay, addDays } = require('../../lib/site-time');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const SESSION_COOKIE = 'JSESSIONID';
+const LOGIN_PATH = '/ema/security/login';
+const DASHBOARD_PATH = '/ema/security/optmainmenu/intoLargeDashboard.action';
+const DEMO_PATH = '/ema/intoDemoUser.action';
+// The demo link redirects through this page before reaching the dashboard
+const DEMO_REDIRECT_PATH = '/ema/loginDemoRedirect.action';
+const AJAX_PATH = '/ema/ajax/getDashboardApiAjax/';
+const LEGACY_PATH = '/apsema/v1/ecu/getPowerInfo';
+const OPENAPI_PATH = '/user/api/v2/systems/';
+
+const DEMO_USER_ID = 'demo-7f3a9c';
+const USERNAME = 'owner@example.com';
+const PASSWORD = 'correct horse';
+const ECU_ID = '216200001234';
+const APP_ID = 'a1b2c3d4e5f6';
+const APP_SECRET = 's3cr3t-app-secret';
+const SID = 'AZ12649A3DFF';
+
+/**
+ * @param {name} File name in test/fixtures
+ * @returns {string} Fixture contents
+ */
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+
+const json = (name) => ({ status: 200, type: 'application/json;charset=UTF-8', body: readFixture(name) });
+const html = (name, status = 200) => ({ status, type: 'text/html;charset=UTF-8', body: readFixture(name) });
+
+// The recorded daily list, moved so that its last day is today on the host
+const dailyEnergyEndingToday = () => {
+	const data = JSON.parse(readFixture('dashboard-daily-energy.json'));
+	const today = getSiteDay(Date.now());
+	data.date = data.date.map((day, index) => addDays(today, index + 1 - data.date.length).replace(/-/g, ''));
+	return { status: 200, type: 'application/json;charset=UTF-8', body: JSON.stringify(data) };
+};
+
+// OpenAPI answers by request: today's ECU energy, the system summary and the inverter batch power
+const DEFAULT_OPENAPI_RESPONSES = {
+	energy: json('openapi-ecu-energy.json'),
+	summary: json('openapi-summary.json'),
+	inverters: json('openapi-inverter-batch.json')
+};
+
+// Dashboard AJAX answers by endpoint name, either fixed or built per request
+const DEFAULT_AJAX_RESPONSES = {
+	getDashboardUserDailyEnergyInLastWeekAjax: dailyEnergyEndingToday,
+	getDashboardUserMonthlyEnergyInCurrentYearAjax: json('dashboard-monthly-energy.json'),
+	getDashboardProductionInfoAjax: json('dashboard-production-info.json'),
+	getDashboardPowerOnCurrentDayAjax: json('dashboard-power-curve.json')
+};
+
+const parseCookieHeader = (header) => {
+	const cookies = {};
+	(header || '').split(';').forEach(part => {
+		const index = part.indexOf('=');
+		if (index > 0) {
+			cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+		}
+	});
+	return cookies;
+}
+
+const readBody = (request) => new Promise((resolve) => {
+	let body = '';
+	request.on('data', chunk => body += chunk);
+	request.on('end', () => resolve(body));
+});
+
+class FakeEmaServer {
+	constructor() {
+		this.sessions = new Set();
+		this.ajaxResponses = { ...DEFAULT_AJAX_RESPONSES };
+		this.legacyResponses = { [ECU_ID]: json('legacy-power-info.json') };
+		this.legacyDeprecated = false;
+		this.openApiResponses = { ...DEFAULT_OPENAPI_RESPONSES };
+		// Answer a successful login with a page that forwards to the dashboard
+		// in the browser, instead of a redirect
+		this.loginForwardPage = false;
+		this.logins = 0;
+		this.requests = [];
+		this.server = http.createServer((request, response) => {
+			this.handle(request, response).catch(error => {
+				response.writeHead(500, { 'Content-Type': 'text/plain' });
+				response.end(error.message);
+			});
+		});
+	}
+
+	/**
+	 * @returns {string} Base URL of the running server
+	 */
+	start() {
+		return new Promise((resolve) => {
+			this.server.listen(0, '127.0.0.1', () => {
+				this.url = `http://127.0.0.1:${this.server.address().port}`;
+				resolve(this.url);
+			});
+		});
+	}
+
+	stop() {
+		return new Promise(resolve => this.server.close(resolve));
+	}
+
+	/**
+	 * Forget all sessions, as EMA does when a session times out
+	 */
+	expireSessions() {
+		this.sessions.clear();
+	}
+
+	/**
+	 * Replace the answer of one dashboard AJAX endpoint
+	 *
+	 * @param {name} Endpoint name, the last part of the path
+	 * @param {answer} { status, type, body }
+	 */
+	setAjaxResponse(name, answer) {
+		this.ajaxResponses[name] = { status: 200, type: 'application/json;charset=UTF-8', ...answer };
+	}
+
+	/**
+	 * Replace the answer of one OpenAPI request
+	 *
+	 * @param {name} energy, summary or inverters
+	 * @param {answer} { status, type, body }
+	 */
+	setOpenApiResponse(name, answer) {
+		this.openApiResponses[name] = { status: 200, type: 'application/json;charset=UTF-8', ...answer };
+	}
+
+	/**
+	 * Which OpenAPI request a path is, or null for an unknown path or system
+	 */
+	getOpenApiRequest(pathname) {
+		const routes = {
+			energy: `${OPENAPI_PATH}${SID}/devices/ecu/energy/${ECU_ID}`,
+			summary: `${OPENAPI_PATH}summary/${SID}`,
+			inverters: `${OPENAPI_PATH}${SID}/devices/inverter/batch/energy/${ECU_ID}`
+		};
+		return Object.keys(routes).find(name => routes[name] === pathname) || null;
+	}
+
+	/**
+	 * Check the signature headers the way the OpenAPI does
+	 */
+	isSignedRequest(request, pathname) {
+		const headers = request.headers;
+		const stringToSign = [
+			headers['x-ca-timestamp'],
+			headers['x-ca-nonce'],
+			headers['x-ca-appid'],
+			pathname.split('/').pop(),
+			request.method,
+			headers['x-ca-signature-method']
+		].join('/');
+		const signature = crypto.createHmac('sha256', APP_SECRET).update(stringToSign).digest('base64');
+		return headers['x-ca-appid'] === APP_ID && headers['x-ca-signature'] === signature;
+	}
+
+	createSession(response) {
+		const id = crypto.randomBytes(16).toString('hex').toUpperCase();
+		this.sessions.add(id);
+		this.logins++;
+		response.setHeader('Set-Cookie', `${SESSION_COOKIE}=${id}; Path=/; HttpOnly`);
+	}
+
+	hasSession(request) {
+		return this.sessions.has(parseCookieHeader(request.headers.cookie)[SESSION_COOKIE]);
+	}
+
+	redirect(response, location) {
+		response.writeHead(302, { Location: location });
+		response.end();
+	}
+
+	send(response, answer) {
+		if (typeof answer === 'function') {
+			answer = answer();
+		}
+		response.writeHead(answer.status, { 'Content-Type': answer.type });
+		response.end(answer.body);
+	}
+
+	async handle(request, response) {
+		const url = new URL(request.url, this.url);
+		const body = await readBody(request);
+		this.requests.push({ method: request.method, path: url.pathname });
+
+		if (url.pathname === DEMO_PATH) {
+			if (url.searchParams.get('id') !== DEMO_USER_ID) {
+				return this.redirect(response, LOGIN_PATH);
+			}
+			this.createSession(response);
+			return this.redirect(response, DEMO_REDIRECT_PATH);
+		}
+
+		if (url.pathname === DEMO_REDIRECT_PATH) {
+			response.setHeader('Set-Cookie', 'userType=demo; Path=/');
+			return this.redirect(response, `${DASHBOARD_PATH}?locale=en_US`);
+		}
+
+		if (url.pathname === LOGIN_PATH) {
+			const form = new URLSearchParams(body);
+			if (request.method === 'POST' && form.get('username') === USERNAME && form.get('password') === PASSWORD) {
+				this.createSession(response);
+				if (this.loginForwardPage) {
+					return this.send(response, html('ema-login-forward-page.html'));
+				}
+				return this.redirect(response, `${DASHBOARD_PATH}?locale=en_US`);
+			}
+			return this.send(response, html('ema-login-page.html'));
+		}
+
+		if (url.pathname === DASHBOARD_PATH) {
+			if (!this.hasSession(request)) {
+				return this.redirect(response, LOGIN_PATH);
+			}
+			response.setHeader('Set-Cookie', 'locale=en_US; Path=/');
+			return this.send(response, html('ema-dashboard-page.html'));
+		}
+
+		if (url.pathname.startsWith(AJAX_PATH)) {
+			if (!this.hasSession(request)) {
+				return this.redirect(response, LOGIN_PATH);
+			}
+			const answer = this.ajaxResponses[url.pathname.slice(AJAX_PATH.length)];
+			return answer ? this.send(response, answer) : this.send(response, html('ema-error-page.html', 404));
+		}
+
+		if (url.pathname === LEGACY_PATH && request.method === 'POST') {
+			if (this.legacyDeprecated) {
+				return this.send(response, html('ema-error-page.html', 404));
+			}
+			const form = new URLSearchParams(body);
+			return this.send(response, this.legacyResponses[form.get('ecuId')] || json('legacy-no-data.json'));
+		}
+
+		if (url.pathname.startsWith(OPENAPI_PATH) && request.method === 'GET') {
+			if (!this.isSignedRequest(request, url.pathname)) {
+				return this.send(response, { status: 200, type: 'application/json;charset=UTF-8', body: JSON.stringify({ code: 2002, data: null }) });
+			}
+			const name = this.getOpenApiRequest(url.pathname);
+			return this.send(response, name ? this.openApiResponses[name] : { status: 200, type: 'application/json;charset=UTF-8', body: JSON.stringify({ code: 1001, data: null }) });
+		}
+
+		return this.send(response, html('ema-error-page.html', 404));
+	}
+}
+
+/**
+ * Silence the console.error logging of the plugin helpers during a test
+ * and keep the messages for assertions
+ *
+ * @returns {object} { messages, restore }
+ */
+const captureErrors = () => {
+	const original = console.error;
+	const messages = [];
+	console.error = (...args) => messages.push(args.join(' '));
+	return {
+		messages,
+		restore: () => {
+			console.error = original;
+		}
+	};
+}
+
+module.exports = {
+	FakeEmaServer,
+	readFixture,
+	captureErrors,
+	DEMO_USER_ID,
+	USERNAME,
+	PASSWORD,
+	ECU_ID,
+	APP_ID,
+	APP_SECRET,
+	SID
+};
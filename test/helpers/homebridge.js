@@ -0,0 +1,63 @@
+// Minimal stand-in for the Homebridge API, with real HAP services from
+// hap-nodejs, to run the platform without a bridge
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hap = require('hap-nodejs');
+const plugin = require('../../index.js');
+
+const silentLog = Object.assign(() => {}, {
+	info: () => {},
+	warn: () => {},
+	error: () => {},
+	debug: () => {}
+});
+
+class FakeHomebridgeApi extends EventEmitter {
+	/**
+	 * @param {storagePath} Storage directory, a new temporary one by default
+	 */
+	constructor(storagePath) {
+		super();
+		this.hap = hap;
+		this.storagePath = storagePath || fs.mkdtempSync(path.join(os.tmpdir(), 'apsystems-test-'));
+		this.user = { storagePath: () => this.storagePath };
+		this.platformAccessory = class extends hap.Accessory {
+			constructor(name, uuid) {
+				super(name, uuid);
+				this.context = {};
+			}
+		};
+		this.registered = [];
+		this.unregistered = [];
+		plugin(this);
+	}
+
+	registerAccessory(pluginName, accessoryName, constructor) {
+		this.Accessory = constructor;
+	}
+
+	registerPlatform(pluginName, platformName, constructor) {
+		this.Platform = constructor;
+	}
+
+	registerPlatformAccessories(pluginName, platformName, accessories) {
+		this.registered.push(...accessories);
+	}
+
+	unregisterPlatformAccessories(pluginName, platformName, accessories) {
+		this.unregistered.push(...accessories);
+	}
+
+	updatePlatformAccessories() {}
+
+	cleanup() {
+		fs.rmSync(this.storagePath, { recursive: true, force: true });
+	}
+}
+
+module.exports = {
+	FakeHomebridgeApi,
+	silentLog
+};
@@ -0,0 +1,69 @@
+// In-process MQTT broker that keeps every message published to it
+const net = require('net');
+const Aedes = require('aedes');
+
+class MqttBroker {
+	constructor() {
+		this.aedes = new Aedes();
+		this.server = net.createServer(this.aedes.handle);
+		// { topic, payload, qos, retain } as the clients sent them, without the broker's $SYS messages
+		this.messages = [];
+		this.aedes.on('publish', packet => {
+			if (!packet.topic.startsWith('$SYS/')) {
+				this.messages.push({ topic: packet.topic, payload: packet.payload.toString(), qos: packet.qos, retain: packet.retain });
+			}
+		});
+	}
+
+	/**
+	 * @returns {string} URL of the running broker
+	 */
+	start() {
+		return new Promise((resolve) => {
+			this.server.listen(0, '127.0.0.1', () => {
+				this.url = `mqtt://127.0.0.1:${this.server.address().port}`;
+				resolve(this.url);
+			});
+		});
+	}
+
+	stop() {
+		return new Promise(resolve => this.aedes.close(() => this.server.close(() => resolve())));
+	}
+
+	/**
+	 * @param {topic} Topic
+	 * @returns {object} Last message on the topic, or undefined
+	 */
+	last(topic) {
+		return this.messages.filter(message => message.topic === topic).pop();
+	}
+
+	/**
+	 * Wait until a message on the topic arrives
+	 *
+	 * @param {topic} Topic
+	 * @param {payload} Payload to wait for, any payload when not given
+	 * @returns {object} The message
+	 */
+	waitFor(topic, payload) {
+		const matches = message => message.topic === topic && (payload === undefined || message.payload === payload);
+		return new Promise((resolve) => {
+			const check = () => {
+				const message = this.messages.find(matches);
+				if (message) {
+					this.aedes.removeListener('publish', onPublish);
+					resolve(message);
+				}
+			};
+			// Listeners run in order, after the one that keeps the message
+			const onPublish = () => check();
+			this.aedes.on('publish', onPublish);
+			check();
+		});
+	}
+}
+
+module.exports = {
+	MqttBroker
+};
@@ -0,0 +1,188 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const FakeTimers = require('@sinonjs/fake-timers');
+const { ProductionHistory } = require('../lib/history');
+
+// Stand-in for the class returned by require('fakegato-history')(homebridge)
+class FakeHistoryService {
+	constructor(type, accessory, options) {
+		this.type = type;
+		this.options = options;
+		this.loaded = true;
+		this.loadChecks = 0;
+		this.entries = [];
+	}
+
+	get usedMemory() {
+		return this.entries.length;
+	}
+
+	isHistoryLoaded() {
+		this.loadChecks++;
+		return this.loaded;
+	}
+
+	addEntry(entry) {
+		this.entries.push(entry);
+	}
+}
+
+describe('production history', () => {
+	const HOUR = 60 * 60 * 1000;
+	const DAY = 24 * HOUR;
+	let clock;
+	let poller;
+	let warnings;
+	let log;
+
+	beforeEach(() => {
+		// Local noon, so today's midnight does not depend on the time zone of the test run
+		const now = new Date(2026, 9, 18, 12, 0);
+		clock = FakeTimers.install({ now: now.getTime(), toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+		poller = new EventEmitter();
+		warnings = [];
+		log = () => {};
+		log.warn = (message) => warnings.push(message);
+	});
+
+	afterEach(() => {
+		clock.uninstall();
+	});
+
+	const createHistory = (loaded = true) => {
+		const history = new ProductionHistory(FakeHistoryService, { displayName: 'Inverter' }, poller, {
+			log: log,
+			path: '/tmp',
+			filename: 'history.json',
+			readPower: readings => readings.watts
+		});
+		history.service.loaded = loaded;
+		return history;
+	};
+
+	const startOfDay = (daysAgo) => {
+		const day = new Date();
+		day.setHours(0, 0, 0, 0);
+		day.setDate(day.getDate() - daysAgo);
+		return day.getTime();
+	};
+
+	it('creates an energy history without fakegato\'s own timer', () => {
+		const history = createHistory();
+
+		assert.strictEqual(history.service.type, 'energy');
+		assert.strictEqual(history.service.options.disableTimer, true);
+		assert.strictEqual(history.service.options.filename, 'history.json');
+	});
+
+	it('adds an entry per poll with the time in seconds', () => {
+		const history = createHistory();
+		poller.emit('update', { watts: 512, timestamp: Date.now() });
+		poller.emit('update', { watts: 640.5, timestamp: Date.now() + 300500 });
+
+		assert.deepStrictEqual(history.service.entries, [
+			{ time: Math.round(Date.now() / 1000), power: 512 },
+			{ time: Math.round(Date.now() / 1000) + 301, power: 640.5 }
+		]);
+	});
+
+	it('records the readings the poller already has', () => {
+		poller.readings = { watts: 300, timestamp: Date.now() };
+		const history = createHistory();
+
+		assert.deepStrictEqual(history.service.entries, [{ time: Math.round(Date.now() / 1000), power: 300 }]);
+	});
+
+	it('skips readings restored from the cache or rolled over at midnight', () => {
+		const history = createHistory();
+		poller.emit('update', { watts: 400, timestamp: Date.now(), restored: true });
+		poller.emit('update', { watts: 0, timestamp: Date.now(), rolledOver: true });
+		poller.emit('update', { watts: null, timestamp: Date.now() });
+
+		assert.deepStrictEqual(history.service.entries, []);
+	});
+
+	describe('backfill', () => {
+		it('spreads the daily energy of past days over 10 minute entries', () => {
+			const history = createHistory();
+			poller.emit('update', {
+				watts: null,
+				timestamp: Date.now(),
+				daily: [
+					{ time: startOfDay(1), kwh: 12 },
+					{ time: startOfDay(2), kwh: 2.4 },
+					{ time: startOfDay(0), kwh: 5 }
+				]
+			});
+
+			const entries = history.service.entries;
+			assert.strictEqual(entries.length, 2 * 144);
+			// Oldest day first, 500 W for 24 h is 12 kWh
+			assert.deepStrictEqual(entries[0], { time: startOfDay(2) / 1000, power: 100 });
+			assert.deepStrictEqual(entries[143], { time: startOfDay(2) / 1000 + 143 * 600, power: 100 });
+			assert.deepStrictEqual(entries[144], { time: startOfDay(1) / 1000, power: 500 });
+			// Today is left to the polls
+			assert.ok(entries.every(entry => entry.time < startOfDay(0) / 1000));
+		});
+
+		it('skips days without energy', () => {
+			const history = createHistory();
+			poller.emit('update', { timestamp: Date.now(), daily: [{ time: startOfDay(1), kwh: null }] });
+
+			assert.deepStrictEqual(history.service.entries, []);
+		});
+
+		it('leaves a history that already has entries alone', () => {
+			const history = createHistory();
+			history.service.entries.push({ time: 1, power: 1 });
+			poller.emit('update', { timestamp: Date.now(), daily: [{ time: startOfDay(1), kwh: 12 }] });
+
+			assert.strictEqual(history.service.entries.length, 1);
+		});
+
+		it('runs once', () => {
+			const history = createHistory();
+			const daily = [{ time: startOfDay(1), kwh: 12 }];
+			poller.emit('update', { timestamp: Date.now(), daily: daily });
+			history.service.entries = [];
+			poller.emit('update', { timestamp: Date.now(), daily: daily });
+
+			assert.deepStrictEqual(history.service.entries, []);
+		});
+	});
+
+	describe('loading', () => {
+		it('queues entries behind a single wait until the history is loaded', () => {
+			const history = createHistory(false);
+			poller.emit('update', { watts: 100, timestamp: Date.now() });
+			poller.emit('update', { watts: 200, timestamp: Date.now() + 1000 });
+			clock.tick(2000);
+			poller.emit('update', { watts: 300, timestamp: Date.now() });
+			assert.deepStrictEqual(history.service.entries, []);
+			assert.strictEqual(clock.countTimers(), 1);
+
+			history.service.loaded = true;
+			clock.tick(1000);
+
+			assert.deepStrictEqual(history.service.entries.map(entry => entry.power), [100, 200, 300]);
+			assert.strictEqual(clock.countTimers(), 0);
+		});
+
+		it('gives up with a warning when the history never loads', () => {
+			const history = createHistory(false);
+			poller.emit('update', { watts: 100, timestamp: Date.now() });
+			clock.tick(60 * 1000);
+
+			assert.strictEqual(clock.countTimers(), 0);
+			assert.strictEqual(warnings.length, 1);
+			assert.match(warnings[0], /did not load within 60s/);
+
+			const checks = history.service.loadChecks;
+			poller.emit('update', { watts: 200, timestamp: Date.now() });
+			clock.tick(60 * 1000);
+			assert.strictEqual(clock.countTimers(), 0);
+			assert.strictEqual(history.service.loadChecks, checks + 1);
+			assert.deepStrictEqual(history.service.entries, []);
+		});
+	});
+});
@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { buildAccount, createApiClient, getInverterReadings } = require('../index.js');
+const { FakeEmaServer, captureErrors, ECU_ID } = require('./helpers/fake-ema');
+
+describe('legacy getPowerInfo API', () => {
+	let server;
+	let errors;
+
+	beforeEach(async () => {
+		server = new FakeEmaServer();
+		await server.start();
+		errors = captureErrors();
+	});
+
+	afterEach(async () => {
+		errors.restore();
+		await server.stop();
+	});
+
+	const getReadings = async (ecuId) => {
+		const account = buildAccount({ dataSource: 'legacy', ecuId: ecuId });
+		const client = createApiClient(account, { legacy: server.url });
+		return { readings: await getInverterReadings(client, account), client };
+	};
+
+	it('reads the power list of the day', async () => {
+		const { readings } = await getReadings(ECU_ID);
+
+		assert.strictEqual(readings.watts, 602);
+		assert.strictEqual(readings.kwh, 0.09);
+		assert.strictEqual(readings.powerCurve.length, 6);
+		assert.strictEqual(readings.peakWatts, 602);
+		assert.strictEqual(readings.peakHour, 8);
+	});
+
+	it('returns null when the ECU has no data', async () => {
+		const { readings } = await getReadings('216200009999');
+
+		assert.strictEqual(readings, null);
+	});
+
+	it('reports a removed endpoint as deprecated', async () => {
+		server.legacyDeprecated = true;
+		const { readings, client } = await getReadings(ECU_ID);
+
+		assert.strictEqual(readings, null);
+		assert.strictEqual(client.fault.kind, 'deprecated');
+	});
+});
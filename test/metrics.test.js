@@ -0,0 +1,154 @@
+const assert = require('assert');
+const http = require('http');
+const { startMetricsServer } = require('../lib/metrics');
+const { silentLog } = require('./helpers/homebridge');
+
+// Just enough of an InverterPoller for the metrics server
+const createPoller = (name, readings, fields) => ({
+	account: { name: name, dataSource: 'local' },
+	readings: readings,
+	fault: null,
+	failures: 0,
+	lastFault: null,
+	night: false,
+	nextPoll: null,
+	getDataAge: () => 42,
+	...fields
+});
+
+describe('metrics server', () => {
+	const NOW = Date.UTC(2026, 9, 18, 12, 0);
+	let pollers;
+	let server;
+	let url;
+
+	beforeEach((done) => {
+		pollers = [createPoller('Roof', {
+			watts: 602,
+			kwh: 4.32,
+			yesterdayKwh: 11.8,
+			monthKwh: null,
+			peakWatts: 1450,
+			peakTime: NOW - 3600 * 1000,
+			timestamp: NOW,
+			inverters: [{ uid: '408000012345', online: true, power: [152, 148], voltage: [231, 230], frequency: 50, temperature: null }]
+		})];
+		server = startMetricsServer({ port: 0, host: '127.0.0.1', log: silentLog, getPollers: () => pollers });
+		server.once('listening', () => {
+			url = `http://127.0.0.1:${server.address().port}`;
+			done();
+		});
+	});
+
+	afterEach((done) => {
+		server.close(done);
+	});
+
+	const get = (path, method = 'GET') => new Promise((resolve, reject) => {
+		const request = http.request(`${url}${path}`, { method: method, agent: false }, (response) => {
+			let body = '';
+			response.setEncoding('utf8');
+			response.on('data', chunk => body += chunk);
+			response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: body }));
+		});
+		request.on('error', reject);
+		request.end();
+	});
+
+	describe('/readings', () => {
+		it('answers the status of every account as JSON', async () => {
+			const response = await get('/readings');
+			const { accounts } = JSON.parse(response.body);
+
+			assert.strictEqual(response.status, 200);
+			assert.match(response.headers['content-type'], /^application\/json/);
+			assert.strictEqual(accounts.length, 1);
+			assert.strictEqual(accounts[0].name, 'Roof');
+			assert.strictEqual(accounts[0].watts, 602);
+			assert.strictEqual(accounts[0].dataAge, 42);
+			assert.strictEqual(accounts[0].timestamp, '2026-10-18T12:00:00.000Z');
+			assert.deepStrictEqual(accounts[0].energy, { today: 4.32, yesterday: 11.8, month: null, year: null, lifetime: null });
+			assert.deepStrictEqual(accounts[0].peak, { watts: 1450, time: '2026-10-18T11:00:00.000Z' });
+			assert.deepStrictEqual(accounts[0].inverters[0].power, [152, 148]);
+		});
+
+		it('is also served at the root, ignoring the query', async () => {
+			const response = await get('/?pretty=1');
+
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(JSON.parse(response.body).accounts[0].name, 'Roof');
+		});
+
+		it('reports an account without readings yet', async () => {
+			pollers.push(createPoller('Garage', null, { fault: 'network', failures: 3 }));
+			const { accounts } = JSON.parse((await get('/readings')).body);
+
+			assert.strictEqual(accounts[1].watts, null);
+			assert.strictEqual(accounts[1].timestamp, null);
+			assert.strictEqual(accounts[1].fault, 'network');
+			assert.strictEqual(accounts[1].failures, 3);
+			assert.deepStrictEqual(accounts[1].inverters, []);
+		});
+	});
+
+	describe('/metrics', () => {
+		it('answers the Prometheus text format with HELP and TYPE lines', async () => {
+			const response = await get('/metrics');
+			const lines = response.body.split('\n');
+
+			assert.strictEqual(response.status, 200);
+			assert.match(response.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+			assert.ok(response.body.endsWith('\n'));
+			const help = lines.indexOf('# HELP apsystems_power_watts Current power');
+			assert.notStrictEqual(help, -1);
+			assert.strictEqual(lines[help + 1], '# TYPE apsystems_power_watts gauge');
+			assert.strictEqual(lines[help + 2], 'apsystems_power_watts{account="Roof"} 602');
+			assert.ok(lines.includes('apsystems_up{account="Roof"} 1'));
+			assert.ok(lines.includes('apsystems_energy_kwh{account="Roof",period="yesterday"} 11.8'));
+			assert.ok(lines.includes('apsystems_peak_power_timestamp_seconds{account="Roof"} ' + (NOW - 3600 * 1000) / 1000));
+			assert.ok(lines.includes('apsystems_inverter_power_watts{account="Roof",inverter="408000012345",channel="2"} 148'));
+		});
+
+		it('leaves out values that are not available instead of reporting 0', async () => {
+			const { body } = await get('/metrics');
+
+			assert.ok(!body.includes('period="month"'));
+			assert.ok(!body.includes('period="lifetime"'));
+			// No inverter has a temperature, so the metric is left out with its HELP line
+			assert.ok(!body.includes('apsystems_inverter_temperature_celsius'));
+			assert.ok(!body.includes('apsystems_last_error_timestamp_seconds'));
+		});
+
+		it('escapes label values', async () => {
+			pollers[0].account.name = 'Roof "east"\\west\nside';
+			const { body } = await get('/metrics');
+
+			assert.ok(body.includes('apsystems_power_watts{account="Roof \\"east\\"\\\\west\\nside"} 602'));
+		});
+
+		it('labels the last error with its kind', async () => {
+			pollers[0].fault = 'auth';
+			pollers[0].failures = 2;
+			pollers[0].lastFault = { kind: 'auth', time: NOW };
+			const { body } = await get('/metrics');
+
+			assert.ok(body.includes('apsystems_up{account="Roof"} 0'));
+			assert.ok(body.includes('apsystems_poll_failures{account="Roof"} 2'));
+			assert.ok(body.includes(`apsystems_last_error_timestamp_seconds{account="Roof",kind="auth"} ${NOW / 1000}`));
+		});
+	});
+
+	it('answers 404 for unknown paths', async () => {
+		const response = await get('/status');
+
+		assert.strictEqual(response.status, 404);
+		assert.strictEqual(response.body, 'Not found\n');
+	});
+
+	it('answers 405 for other methods than GET', async () => {
+		const response = await get('/metrics', 'POST');
+
+		assert.strictEqual(response.status, 405);
+		assert.strictEqual(response.headers.allow, 'GET');
+	});
+});
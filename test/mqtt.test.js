@@ -0,0 +1,143 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const { MqttPublisher } = require('../lib/mqtt');
+const { MqttBroker } = require('./helpers/mqtt-broker');
+const { silentLog } = require('./helpers/homebridge');
+
+// Just enough of an InverterPoller for the publisher
+class FakePoller extends EventEmitter {
+	constructor(name, readings) {
+		super();
+		this.account = { name: name };
+		this.readings = readings;
+		this.responding = true;
+	}
+
+	isResponding() {
+		return this.responding;
+	}
+
+	getDataAge() {
+		return 12;
+	}
+}
+
+describe('MQTT publisher', () => {
+	const readings = {
+		watts: 602,
+		kwh: 4.32,
+		lifetimeKwh: 12345.6,
+		peakWatts: 815,
+		peakTime: Date.UTC(2026, 9, 18, 11, 45),
+		powerCurve: [{ time: Date.UTC(2026, 9, 18, 11, 45), watts: 815 }],
+		inverters: [{ uid: '408000012345', power: [152, 148] }],
+		timestamp: Date.UTC(2026, 9, 18, 12, 30)
+	};
+	let broker;
+	let publisher;
+
+	beforeEach(async () => {
+		broker = new MqttBroker();
+		await broker.start();
+	});
+
+	afterEach(async () => {
+		if (publisher) {
+			publisher.client.end(true);
+			publisher = null;
+		}
+		await broker.stop();
+	});
+
+	// Connect a publisher for one account and wait for its first readings
+	const connect = async (config) => {
+		publisher = new MqttPublisher(silentLog, { url: broker.url, ...config });
+		publisher.attach(new FakePoller('Roof East', readings));
+		await broker.waitFor('apsystems/roof_east/state');
+	};
+
+	it('publishes the readings of an account as retained states', async () => {
+		await connect();
+
+		assert.deepStrictEqual(broker.last('apsystems/roof_east/power'), { topic: 'apsystems/roof_east/power', payload: '602', qos: 0, retain: true });
+		assert.strictEqual(broker.last('apsystems/roof_east/energy_today').payload, '4.32');
+		assert.strictEqual(broker.last('apsystems/roof_east/energy_lifetime').payload, '12345.6');
+		assert.strictEqual(broker.last('apsystems/roof_east/peak_time').payload, '2026-10-18T11:45:00.000Z');
+		// Readings the data source does not have are not published
+		assert.strictEqual(broker.last('apsystems/roof_east/energy_month'), undefined);
+
+		const state = JSON.parse(broker.last('apsystems/roof_east/state').payload);
+		assert.strictEqual(state.watts, 602);
+		assert.strictEqual(state.dataAge, 12);
+		assert.strictEqual(state.powerCurve, undefined);
+	});
+
+	it('publishes the power of each inverter and channel', async () => {
+		await connect();
+
+		assert.strictEqual(broker.last('apsystems/roof_east/inverter/408000012345/power').payload, '300');
+		assert.strictEqual(broker.last('apsystems/roof_east/inverter/408000012345/channel/1/power').payload, '152');
+		assert.strictEqual(broker.last('apsystems/roof_east/inverter/408000012345/channel/2/power').payload, '148');
+	});
+
+	it('publishes with the configured prefix, QoS and retain flag', async () => {
+		publisher = new MqttPublisher(silentLog, { url: broker.url, topicPrefix: 'solar', qos: 1, retain: false });
+		publisher.attach(new FakePoller('Roof East', readings));
+		await broker.waitFor('solar/roof_east/state');
+
+		assert.deepStrictEqual(broker.last('solar/roof_east/power'), { topic: 'solar/roof_east/power', payload: '602', qos: 1, retain: false });
+		// Availability stays retained so late subscribers know the state
+		assert.deepStrictEqual(broker.last('solar/roof_east/availability'), { topic: 'solar/roof_east/availability', payload: 'online', qos: 1, retain: true });
+		assert.strictEqual(broker.last('solar/status').retain, true);
+	});
+
+	it('sends a retained Home Assistant discovery config per sensor', async () => {
+		await connect();
+
+		const message = broker.last('homeassistant/sensor/apsystems_roof_east_power/config');
+		assert.strictEqual(message.retain, true);
+		const config = JSON.parse(message.payload);
+		assert.strictEqual(config.state_topic, 'apsystems/roof_east/power');
+		assert.strictEqual(config.unit_of_measurement, 'W');
+		assert.strictEqual(config.device_class, 'power');
+		assert.strictEqual(config.state_class, 'measurement');
+		assert.deepStrictEqual(config.availability, [{ topic: 'apsystems/status' }, { topic: 'apsystems/roof_east/availability' }]);
+		assert.deepStrictEqual(config.device.identifiers, ['apsystems_roof_east']);
+
+		assert.strictEqual(JSON.parse(broker.last('homeassistant/sensor/apsystems_roof_east_energy_today/config').payload).state_class, 'total_increasing');
+		assert.ok(broker.last('homeassistant/sensor/apsystems_roof_east_inverter_408000012345_power/config'));
+	});
+
+	it('sends no discovery configs with homeAssistant off', async () => {
+		await connect({ homeAssistant: false });
+
+		assert.ok(!broker.messages.some(message => message.topic.startsWith('homeassistant/')));
+	});
+
+	it('announces itself online on connect and offline on shutdown', async () => {
+		await connect();
+		assert.deepStrictEqual(broker.last('apsystems/status'), { topic: 'apsystems/status', payload: 'online', qos: 0, retain: true });
+
+		publisher.end();
+		publisher = null;
+		assert.deepStrictEqual(await broker.waitFor('apsystems/status', 'offline'), { topic: 'apsystems/status', payload: 'offline', qos: 0, retain: true });
+	});
+
+	it('leaves an offline will for the broker when the connection drops', async () => {
+		await connect();
+
+		publisher.client.stream.destroy();
+		assert.deepStrictEqual(await broker.waitFor('apsystems/status', 'offline'), { topic: 'apsystems/status', payload: 'offline', qos: 0, retain: true });
+	});
+
+	it('marks an account offline when its poller stops responding', async () => {
+		const poller = new FakePoller('Roof East', readings);
+		publisher = new MqttPublisher(silentLog, { url: broker.url });
+		publisher.attach(poller);
+		await broker.waitFor('apsystems/roof_east/state');
+
+		poller.responding = false;
+		poller.emit('fault');
+		assert.strictEqual((await broker.waitFor('apsystems/roof_east/availability', 'offline')).retain, true);
+	});
+});
@@ -0,0 +1,122 @@
+const assert = require('assert');
+const { buildAccount, createApiClient, getInverterReadings, signOpenApiRequest } = require('../index.js');
+const { FakeEmaServer, captureErrors, ECU_ID, APP_ID, APP_SECRET, SID } = require('./helpers/fake-ema');
+
+describe('OpenAPI v2', () => {
+	let server;
+	let errors;
+
+	beforeEach(async () => {
+		server = new FakeEmaServer();
+		await server.start();
+		errors = captureErrors();
+	});
+
+	afterEach(async () => {
+		errors.restore();
+		await server.stop();
+	});
+
+	const getReadings = async (config) => {
+		const account = buildAccount({ dataSource: 'openapi', appId: APP_ID, appSecret: APP_SECRET, sid: SID, eid: ECU_ID, ...config });
+		const client = createApiClient(account, { openApi: server.url });
+		return { readings: await getInverterReadings(client, account), client };
+	};
+
+	const answer = (name, body) => server.setOpenApiResponse(name, { body: JSON.stringify(body) });
+
+	it('signs the timestamp, nonce, app ID, last path segment and method', () => {
+		const headers = signOpenApiRequest(APP_ID, APP_SECRET, 'get', `/user/api/v2/systems/${SID}/devices/ecu/energy/${ECU_ID}`,
+			'1760788800000', '5f2b8c0e9a4d4e7f8b1c2d3e4f506172');
+
+		assert.deepStrictEqual(headers, {
+			'X-CA-AppId': APP_ID,
+			'X-CA-Timestamp': '1760788800000',
+			'X-CA-Nonce': '5f2b8c0e9a4d4e7f8b1c2d3e4f506172',
+			'X-CA-Signature-Method': 'HmacSHA256',
+			'X-CA-Signature': 'UWIz3SWDP3kF22RhMZjbXKJ+9hmrp/vGrzFgDNGWx24='
+		});
+	});
+
+	describe('readings', () => {
+		it('combines the ECU energy and the system summary', async () => {
+			const { readings, client } = await getReadings();
+
+			assert.strictEqual(client.fault, undefined);
+			assert.strictEqual(readings.watts, 388);
+			assert.strictEqual(readings.kwh, 4.57);
+			assert.strictEqual(readings.monthKwh, 96.4);
+			assert.strictEqual(readings.yearKwh, 2871.35);
+			assert.strictEqual(readings.lifetimeKwh, 14023.8);
+			// Per-inverter data is only requested for inverter accessories
+			assert.strictEqual(readings.inverters, undefined);
+			assert.ok(!server.requests.some(request => request.path.includes('/inverter/batch/')));
+		});
+
+		it('reads the latest power of each inverter channel', async () => {
+			const { readings } = await getReadings({ inverterAccessories: 'channel' });
+
+			assert.deepStrictEqual(readings.inverters, [
+				{ uid: '408000012345', online: true, power: [98, 96] },
+				// Channels missing from the response report 0
+				{ uid: '801000067890', online: true, power: [49, 0, 47] }
+			]);
+		});
+
+		it('keeps the energy of today when the summary fails', async () => {
+			answer('summary', { code: 7002, data: null });
+			const { readings } = await getReadings();
+
+			assert.strictEqual(readings.kwh, 4.57);
+			assert.strictEqual(readings.monthKwh, undefined);
+		});
+	});
+
+	describe('faults', () => {
+		const getFault = async (config) => {
+			const { readings, client } = await getReadings(config);
+			assert.strictEqual(readings, null);
+			return client.fault;
+		};
+
+		it('reports application account and token codes as authentication faults', async () => {
+			answer('energy', { code: 2005, data: null });
+
+			assert.deepStrictEqual(await getFault(), { kind: 'auth', message: 'OpenAPI code 2005: The access limit of the application account was exceeded' });
+		});
+
+		it('reports a request the OpenAPI cannot verify as an authentication fault', async () => {
+			assert.deepStrictEqual(await getFault({ appSecret: 'wrong' }), { kind: 'auth', message: 'OpenAPI code 2002: The application account is not authorized' });
+			assert.ok(!errors.messages.join('\n').includes('wrong'), 'the secret is not logged');
+		});
+
+		it('reports server codes as the server being unreachable', async () => {
+			answer('energy', { code: 7003, data: null });
+
+			assert.deepStrictEqual(await getFault(), { kind: 'network', message: 'OpenAPI code 7003: The system is busy, please request later' });
+		});
+
+		it('reports data and parameter codes as an unexpected format', async () => {
+			answer('energy', { code: 1001, data: null });
+			assert.deepStrictEqual(await getFault(), { kind: 'schema', message: 'OpenAPI code 1001: No data' });
+
+			answer('energy', { code: 4001, data: null });
+			assert.strictEqual((await getFault()).kind, 'schema');
+		});
+
+		it('reports a successful response without energy as an unexpected format', async () => {
+			answer('energy', { code: 0, data: { time: [], power: [] } });
+			assert.deepStrictEqual(await getFault(), { kind: 'schema', message: 'OpenAPI response holds no energy data' });
+
+			answer('energy', { code: '0', data: 'maintenance' });
+			assert.strictEqual((await getFault()).kind, 'schema');
+		});
+
+		it('reports an HTTP error status', async () => {
+			server.setOpenApiResponse('energy', { status: 404, type: 'text/html', body: '<!DOCTYPE html><html></html>' });
+
+			assert.strictEqual((await getFault()).kind, 'schema');
+			assert.match((await getFault()).message, /returned status 404/);
+		});
+	});
+});
@@ -0,0 +1,153 @@
+const assert = require('assert');
+const {
+	parseDashboardReadings,
+	parseDashboardPower,
+	parseDashboardPowerCurve,
+	parseDashboardMonthlyReadings,
+	parseLegacyReadings
+} = require('../index.js');
+const { readFixture, captureErrors } = require('./helpers/fake-ema');
+
+const fixture = (name) => JSON.parse(readFixture(name));
+
+// The daily energy fixture was recorded on 18 October 2025
+const RECORDED_AT = Date.UTC(2025, 9, 18, 11, 0);
+
+describe('response parsing', () => {
+	describe('parseDashboardReadings', () => {
+		it('reads today and yesterday from "list"', () => {
+			const readings = parseDashboardReadings(fixture('dashboard-daily-energy.json'), 'Europe/Amsterdam', RECORDED_AT);
+
+			assert.strictEqual(readings.kwh, 12.34);
+			assert.strictEqual(readings.yesterdayKwh, 22.15);
+			assert.strictEqual(readings.watts, null);
+		});
+
+		it('matches values to the "date" list instead of taking the last one', () => {
+			const nextDay = RECORDED_AT + 24 * 60 * 60 * 1000;
+			const readings = parseDashboardReadings(fixture('dashboard-daily-energy.json'), 'Europe/Amsterdam', nextDay);
+
+			assert.strictEqual(readings.kwh, 0);
+			assert.strictEqual(readings.yesterdayKwh, 12.34);
+		});
+
+		it('counts days in the site timezone', () => {
+			// 02:00 UTC on 19 October is still 18 October in Denver
+			const data = fixture('dashboard-daily-energy.json');
+			const time = Date.UTC(2025, 9, 19, 2, 0);
+
+			assert.strictEqual(parseDashboardReadings(data, 'America/Denver', time).kwh, 12.34);
+			assert.strictEqual(parseDashboardReadings(data, 'Asia/Tokyo', time).kwh, 0);
+		});
+
+		it('places timestamps in the "date" list on site days', () => {
+			// Midnight of 18 October in Denver
+			const data = { date: [1760767200000, 1760853600000], list: ['7.5', '8.25'] };
+
+			assert.strictEqual(parseDashboardReadings(data, 'America/Denver', Date.UTC(2025, 9, 19, 12, 0)).kwh, 8.25);
+		});
+
+		it('reads a bare array', () => {
+			const readings = parseDashboardReadings(['3.5', '4.25']);
+
+			assert.strictEqual(readings.kwh, 4.25);
+			assert.strictEqual(readings.yesterdayKwh, 3.5);
+			assert.strictEqual(readings.daily, undefined);
+		});
+
+		it('reads a "data" array', () => {
+			assert.strictEqual(parseDashboardReadings({ data: ['1.1', '2.2'] }).kwh, 2.2);
+		});
+
+		it('skips empty values at the end of the list', () => {
+			assert.strictEqual(parseDashboardReadings({ list: ['5.5', '6.6', null, ''] }).kwh, 6.6);
+		});
+
+		it('returns null without energy values', () => {
+			assert.strictEqual(parseDashboardReadings({ list: [] }), null);
+			assert.strictEqual(parseDashboardReadings({ result: 'ok' }), null);
+			assert.strictEqual(parseDashboardReadings('<html>'), null);
+		});
+	});
+
+	describe('parseDashboardPower', () => {
+		it('prefers the last reported power', () => {
+			assert.strictEqual(parseDashboardPower(fixture('dashboard-production-info.json')), 1534);
+		});
+
+		it('falls back to the last point of the power curve', () => {
+			assert.strictEqual(parseDashboardPower(fixture('dashboard-power-curve.json')), 602);
+		});
+
+		it('returns null without power', () => {
+			assert.strictEqual(parseDashboardPower({ time: [], power: [] }), null);
+		});
+	});
+
+	describe('parseDashboardPowerCurve', () => {
+		it('pairs the time and power lists on the site day', () => {
+			const readings = parseDashboardPowerCurve(fixture('dashboard-power-curve.json'), 'Europe/Amsterdam', RECORDED_AT);
+
+			assert.strictEqual(readings.powerCurve.length, 6);
+			assert.deepStrictEqual(readings.powerCurve[0], { time: Date.UTC(2025, 9, 18, 5, 35), watts: 0 });
+			assert.strictEqual(readings.peakWatts, 602);
+			assert.strictEqual(readings.peakTime, Date.UTC(2025, 9, 18, 6, 0));
+			assert.strictEqual(readings.peakHour, 8);
+		});
+
+		it('reports no peak before sunrise', () => {
+			const readings = parseDashboardPowerCurve({ time: [], power: [] }, 'UTC', RECORDED_AT);
+
+			assert.deepStrictEqual(readings, { powerCurve: [], peakWatts: 0, peakTime: null, peakHour: null });
+		});
+
+		it('returns null when the lists do not match', () => {
+			assert.strictEqual(parseDashboardPowerCurve({ time: ['08:00'], power: [] }, 'UTC', RECORDED_AT), null);
+		});
+	});
+
+	describe('parseDashboardMonthlyReadings', () => {
+		it('sums the year and picks the current month', () => {
+			const data = fixture('dashboard-monthly-energy.json');
+			const readings = parseDashboardMonthlyReadings(data, 'Europe/Amsterdam', RECORDED_AT);
+
+			assert.strictEqual(readings.yearKwh, 3793.1);
+			assert.strictEqual(readings.monthKwh, 231.6);
+		});
+	});
+
+	describe('parseLegacyReadings', () => {
+		it('reads power sent as a JSON string', () => {
+			const readings = parseLegacyReadings(fixture('legacy-power-info.json'), 'Europe/Amsterdam', RECORDED_AT);
+
+			assert.strictEqual(readings.watts, 602);
+			assert.strictEqual(readings.kwh, 0.09);
+			assert.strictEqual(readings.peakTime, Date.UTC(2025, 9, 18, 6, 0));
+		});
+
+		it('reads power sent as an array', () => {
+			const fromString = parseLegacyReadings(fixture('legacy-power-info.json'), 'Europe/Amsterdam', RECORDED_AT);
+
+			assert.deepStrictEqual(parseLegacyReadings(fixture('legacy-power-info-array.json'), 'Europe/Amsterdam', RECORDED_AT), fromString);
+		});
+
+		it('assumes 5-minute samples without a time list', () => {
+			const readings = parseLegacyReadings({ code: 1, data: { power: '["600","600","600","600","600","600"]' } });
+
+			assert.deepStrictEqual(readings, { watts: 600, kwh: 0.3 });
+		});
+
+		it('returns null for an error code', () => {
+			assert.strictEqual(parseLegacyReadings(fixture('legacy-no-data.json')), null);
+		});
+
+		it('returns null for a power string that is not JSON', () => {
+			const errors = captureErrors();
+			try {
+				assert.strictEqual(parseLegacyReadings({ code: 1, data: { power: '[0,35' } }), null);
+			} finally {
+				errors.restore();
+			}
+		});
+	});
+});
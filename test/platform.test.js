@@ -0,0 +1,161 @@
+const assert = require('assert');
+const { buildAccount } = require('../index.js');
+const { getReadingsCache } = require('../lib/cache');
+const { FakeEcuServer } = require('./helpers/fake-ecu');
+const { captureErrors } = require('./helpers/fake-ema');
+const { FakeHomebridgeApi, silentLog } = require('./helpers/homebridge');
+
+describe('platform accessories', () => {
+	const config = { platform: 'APSystemsInverterPlatform', name: 'Roof', dataSource: 'local', ecuHost: '127.0.0.1', inverterAccessories: 'inverter' };
+	const inverters = [{ uid: '801000012345', power: [152, 148] }];
+	let api;
+
+	beforeEach(() => {
+		api = new FakeHomebridgeApi();
+		// Fresh readings keep the pollers from going to the cloud
+		getReadingsCache(api.storagePath, silentLog).set(buildAccount(config).key, {
+			watts: 300, kwh: 1.2, inverters: inverters, timestamp: Date.now()
+		});
+	});
+
+	afterEach(() => {
+		api.emit('shutdown');
+		api.cleanup();
+	});
+
+	// Start the platform, as after a Homebridge restart when accessories were cached
+	const launch = (platformConfig, cachedAccessories) => {
+		if (cachedAccessories) {
+			api.emit('shutdown');
+			api = new FakeHomebridgeApi(api.storagePath);
+		}
+		const platform = new api.Platform(silentLog, platformConfig, api);
+		(cachedAccessories || []).forEach(accessory => platform.configureAccessory(accessory));
+		api.emit('didFinishLaunching');
+		return platform;
+	};
+
+	const findInverterAccessory = (platform) => [...platform.cachedAccessories.values()].find(accessory => accessory.context.uid);
+
+	it('adds an accessory per inverter from the readings', () => {
+		const platform = launch(config);
+		const accessory = findInverterAccessory(platform);
+
+		assert.strictEqual(accessory.displayName, 'Roof Inverter 801000012345');
+		assert.ok(accessory.getService(api.hap.Service.LightSensor));
+	});
+
+	it('swaps the service of a cached inverter accessory when serviceType changes', () => {
+		const cached = findInverterAccessory(launch(config));
+		const platform = launch({ ...config, serviceType: 'outlet' }, [cached]);
+		const accessory = findInverterAccessory(platform);
+
+		assert.strictEqual(accessory, cached);
+		assert.ok(accessory.getService(api.hap.Service.Outlet));
+		assert.strictEqual(accessory.getService(api.hap.Service.LightSensor), undefined);
+		assert.ok(!api.unregistered.includes(accessory));
+	});
+});
+
+describe('poll faults', () => {
+	let ecu;
+	let api;
+	let errors;
+	let config;
+	let poller;
+	let service;
+
+	beforeEach(async () => {
+		errors = captureErrors();
+		ecu = new FakeEcuServer();
+		// The ECU hangs up until a test lets it answer
+		ecu.behaviour = 'close';
+		await ecu.start();
+		api = new FakeHomebridgeApi();
+		config = {
+			platform: 'APSystemsInverterPlatform', name: 'Roof', dataSource: 'local', ecuHost: '127.0.0.1', ecuPort: ecu.port,
+			inverterAccessories: 'inverter', noResponseAfter: 2
+		};
+		// Readings older than cacheTtl, so the platform polls right away
+		getReadingsCache(api.storagePath, silentLog).set(buildAccount(config).key, {
+			watts: 200, kwh: 1.2, inverters: [{ uid: '408000012345', power: [100, 100] }], timestamp: Date.now() - 60 * 60 * 1000
+		});
+		
+		const platform = new api.Platform(silentLog, config, api);
+		api.emit('didFinishLaunching');
+		poller = platform.pollers.get(buildAccount(config).key);
+		const accessory = [...platform.cachedAccessories.values()].find(cached => cached.context.uid === '408000012345');
+		service = accessory.getService(api.hap.Service.LightSensor);
+	});
+
+	afterEach(async () => {
+		api.emit('shutdown');
+		await poller.pending;
+		await ecu.stop();
+		errors.restore();
+		api.cleanup();
+	});
+
+	const getValue = (Characteristic) => service.getCharacteristic(Characteristic).value;
+	const read = (Characteristic) => service.getCharacteristic(Characteristic).handleGetRequest();
+
+	it('sets StatusFault on a network fault and keeps answering with the last readings', async () => {
+		await poller.pending;
+		const { Characteristic } = api.hap;
+
+		assert.strictEqual(poller.fault.kind, 'network');
+		assert.strictEqual(getValue(Characteristic.StatusFault), Characteristic.StatusFault.GENERAL_FAULT);
+		assert.strictEqual(getValue(Characteristic.StatusActive), false);
+		assert.strictEqual(await read(Characteristic.CurrentAmbientLightLevel), 200);
+	});
+
+	it('answers "No Response" once noResponseAfter polls failed, and recovers with the next poll', async () => {
+		await poller.pending;
+		await poller.poll();
+		const { Characteristic, HAPStatus } = api.hap;
+
+		assert.strictEqual(poller.failures, 2);
+		await assert.rejects(read(Characteristic.CurrentAmbientLightLevel), error => error === HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+		await assert.rejects(read(Characteristic.StatusFault), error => error === HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+
+		ecu.behaviour = 'frame';
+		await poller.poll();
+
+		assert.strictEqual(poller.fault, null);
+		assert.strictEqual(getValue(Characteristic.StatusFault), Characteristic.StatusFault.NO_FAULT);
+		assert.strictEqual(getValue(Characteristic.StatusActive), true);
+		// The power the ECU reports for the inverter
+		assert.strictEqual(await read(Characteristic.CurrentAmbientLightLevel), 152 + 148);
+		assert.strictEqual(await read(Characteristic.StatusFault), Characteristic.StatusFault.NO_FAULT);
+	});
+});
+
+describe('legacy accessories', () => {
+	const config = { accessory: 'APSystemsInverter', name: 'Roof Watts', dataSource: 'local', ecuHost: '127.0.0.1', inverter_data: 'Watts' };
+	let api;
+
+	beforeEach(() => {
+		api = new FakeHomebridgeApi();
+		getReadingsCache(api.storagePath, silentLog).set(buildAccount(config).key, { watts: 300, kwh: 1.2, timestamp: Date.now() });
+	});
+
+	afterEach(() => {
+		api.emit('shutdown');
+		api.cleanup();
+	});
+
+	it('share one poller per account and stop it on shutdown', () => {
+		const watts = new api.Accessory(silentLog, config, api);
+		const kwh = new api.Accessory(silentLog, { ...config, name: 'Roof Kwh', inverter_data: 'Kwh' }, api);
+		assert.strictEqual(watts.poller, kwh.poller);
+		assert.strictEqual(watts.poller.running, true);
+		assert.ok(watts.poller.timer);
+
+		api.emit('shutdown');
+
+		assert.strictEqual(watts.poller.running, false);
+		assert.strictEqual(watts.poller.timer, null);
+		// A new bridge starts a new poller
+		assert.notStrictEqual(new api.Accessory(silentLog, config, api).poller, watts.poller);
+	});
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { parseList, buildPowerCurve, integrateEnergy, getPeak } = require('../lib/power-curve');
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2025, 5, 21, 10, 0);
+
+const curve = (samples) => samples.map(([minutes, watts]) => ({ time: START + minutes * MINUTE, watts }));
+
+describe('power curve', () => {
+	it('reads lists sent as JSON strings', () => {
+		assert.deepStrictEqual(parseList('["1","2"]'), ['1', '2']);
+		assert.deepStrictEqual(parseList([1, 2]), [1, 2]);
+		assert.strictEqual(parseList('[1,'), null);
+		assert.strictEqual(parseList('{}'), null);
+	});
+
+	it('pairs clock times with power on the site day', () => {
+		const samples = buildPowerCurve('["12:00","11:55","bad"]', ['300', '250', '100'], '2025-06-21', 'Europe/Amsterdam');
+
+		assert.deepStrictEqual(samples, [
+			{ time: Date.UTC(2025, 5, 21, 9, 55), watts: 250 },
+			{ time: Date.UTC(2025, 5, 21, 10, 0), watts: 300 }
+		]);
+	});
+
+	it('reads timestamps and full dates', () => {
+		const samples = buildPowerCurve([START / 1000, '2025-06-21 12:05:00'], [100, 200], '2025-06-21', 'Europe/Amsterdam');
+
+		assert.deepStrictEqual(samples.map(sample => sample.time), [START, START + 5 * MINUTE]);
+	});
+
+	describe('integrateEnergy', () => {
+		it('integrates with the trapezoidal rule', () => {
+			// One hour ramping from 0 to 1000 W is 0.5 kWh
+			assert.strictEqual(integrateEnergy(curve([[0, 0], [30, 500], [60, 1000]])), 0.5);
+		});
+
+		it('follows the actual sample interval', () => {
+			// 1000 W for one hour, sampled every 5 minutes or every 10
+			const everyFive = curve(Array.from({ length: 13 }, (value, index) => [index * 5, 1000]));
+			const everyTen = curve(Array.from({ length: 7 }, (value, index) => [index * 10, 1000]));
+
+			assert.strictEqual(integrateEnergy(everyFive), 1);
+			assert.strictEqual(integrateEnergy(everyTen), 1);
+		});
+
+		it('leaves out gaps in the data', () => {
+			// The ECU was offline for two hours between the samples
+			assert.strictEqual(integrateEnergy(curve([[0, 1000], [30, 1000], [150, 1000], [180, 1000]])), 1);
+		});
+
+		it('is 0 for fewer than two samples', () => {
+			assert.strictEqual(integrateEnergy([]), 0);
+			assert.strictEqual(integrateEnergy(curve([[0, 500]])), 0);
+		});
+	});
+
+	describe('getPeak', () => {
+		it('finds the first highest sample', () => {
+			const peak = getPeak(curve([[0, 100], [5, 800], [10, 800], [15, 300]]), 'UTC');
+
+			assert.deepStrictEqual(peak, { peakWatts: 800, peakTime: START + 5 * MINUTE, peakHour: 10.08 });
+		});
+
+		it('is 0 W without a time for an empty curve', () => {
+			assert.deepStrictEqual(getPeak([], 'UTC'), { peakWatts: 0, peakTime: null, peakHour: null });
+			assert.deepStrictEqual(getPeak(null, 'UTC'), { peakWatts: 0, peakTime: null, peakHour: null });
+		});
+	});
+});
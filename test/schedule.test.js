@@ -0,0 +1,56 @@
+const assert = require('assert');
+const { isDaylight, getNextDaylight, getPollDelay, DAYLIGHT_MARGIN, POLL_BACKOFF_MAX } = require('../lib/schedule');
+const { getSunTimes } = require('../lib/sun');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Amsterdam, where the sun rises around 06:12 UTC and sets around 16:41 UTC on 18 October 2025
+const AMSTERDAM = { latitude: 52.37, longitude: 4.90 };
+const NOON = Date.UTC(2025, 9, 18, 12);
+const MIDNIGHT = Date.UTC(2025, 9, 18, 23);
+const SUN = getSunTimes(NOON, AMSTERDAM.latitude, AMSTERDAM.longitude);
+
+describe('poll schedule', () => {
+	const schedule = { pollInterval: 300, nightPollInterval: 3600, ...AMSTERDAM };
+
+	it('knows daylight from night, with a margin around sunrise and sunset', () => {
+		assert.strictEqual(isDaylight(NOON, AMSTERDAM.latitude, AMSTERDAM.longitude), true);
+		assert.strictEqual(isDaylight(MIDNIGHT, AMSTERDAM.latitude, AMSTERDAM.longitude), false);
+		assert.strictEqual(isDaylight(SUN.sunset + DAYLIGHT_MARGIN / 2, AMSTERDAM.latitude, AMSTERDAM.longitude), true);
+		assert.strictEqual(isDaylight(SUN.sunset + DAYLIGHT_MARGIN + MINUTE, AMSTERDAM.latitude, AMSTERDAM.longitude), false);
+	});
+
+	it('finds the next sunrise from before and after midnight', () => {
+		const tomorrow = getSunTimes(NOON + 24 * HOUR, AMSTERDAM.latitude, AMSTERDAM.longitude);
+
+		assert.strictEqual(getNextDaylight(MIDNIGHT, AMSTERDAM.latitude, AMSTERDAM.longitude), tomorrow.sunrise - DAYLIGHT_MARGIN);
+		assert.strictEqual(getNextDaylight(MIDNIGHT + 3 * HOUR, AMSTERDAM.latitude, AMSTERDAM.longitude), tomorrow.sunrise - DAYLIGHT_MARGIN);
+	});
+
+	it('polls at the poll interval in daylight and without a location', () => {
+		assert.deepStrictEqual(getPollDelay(schedule, 0, NOON), { delay: 300 * 1000, night: false });
+		assert.deepStrictEqual(getPollDelay({ pollInterval: 300, nightPollInterval: 3600 }, 0, MIDNIGHT), { delay: 300 * 1000, night: false });
+	});
+
+	it('polls at the night interval at night, but not past sunrise', () => {
+		const nextDaylight = getNextDaylight(MIDNIGHT, AMSTERDAM.latitude, AMSTERDAM.longitude);
+
+		assert.deepStrictEqual(getPollDelay(schedule, 0, MIDNIGHT), { delay: HOUR, night: true, nextDaylight: nextDaylight });
+		assert.strictEqual(getPollDelay(schedule, 0, nextDaylight - 10 * MINUTE).delay, 10 * MINUTE);
+	});
+
+	it('waits for sunrise when night polls are off', () => {
+		const result = getPollDelay({ ...schedule, nightPollInterval: 0 }, 0, MIDNIGHT);
+
+		assert.strictEqual(result.delay, result.nextDaylight - MIDNIGHT);
+	});
+
+	it('backs off exponentially on failures, up to the maximum', () => {
+		assert.strictEqual(getPollDelay(schedule, 1, NOON).delay, 600 * 1000);
+		assert.strictEqual(getPollDelay(schedule, 2, NOON).delay, 1200 * 1000);
+		assert.strictEqual(getPollDelay(schedule, 10, NOON).delay, POLL_BACKOFF_MAX);
+		// An interval above the maximum is never shortened
+		assert.strictEqual(getPollDelay({ pollInterval: 7200 }, 3, NOON).delay, 7200 * 1000);
+	});
+});
@@ -0,0 +1,78 @@
+const assert = require('assert');
+const { isValidTimezone, getSiteDay, addDays, parseSiteDay, rollOverReadings } = require('../lib/site-time');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('site time', () => {
+	it('gives the day at the site', () => {
+		const time = Date.UTC(2025, 9, 18, 23, 30);
+
+		assert.strictEqual(getSiteDay(time, 'UTC'), '2025-10-18');
+		assert.strictEqual(getSiteDay(time, 'Europe/Amsterdam'), '2025-10-19');
+		assert.strictEqual(getSiteDay(time, 'America/Los_Angeles'), '2025-10-18');
+	});
+
+	it('recognizes IANA timezones', () => {
+		assert.strictEqual(isValidTimezone('Australia/Sydney'), true);
+		assert.strictEqual(isValidTimezone('Mars/Olympus_Mons'), false);
+	});
+
+	it('adds days across months and years', () => {
+		assert.strictEqual(addDays('2024-03-01', -1), '2024-02-29');
+		assert.strictEqual(addDays('2025-12-31', 1), '2026-01-01');
+	});
+
+	it('reads day strings as they are and timestamps in the site timezone', () => {
+		assert.strictEqual(parseSiteDay('20251018', 'Asia/Tokyo'), '2025-10-18');
+		assert.strictEqual(parseSiteDay('2025-10-18', 'Asia/Tokyo'), '2025-10-18');
+		assert.strictEqual(parseSiteDay(String(Date.UTC(2025, 9, 18, 20)), 'Asia/Tokyo'), '2025-10-19');
+		assert.strictEqual(parseSiteDay(Date.UTC(2025, 9, 18, 20) / 1000, 'UTC'), '2025-10-18');
+		assert.strictEqual(parseSiteDay('not a date', 'UTC'), null);
+	});
+
+	describe('rollOverReadings', () => {
+		const readings = { timestamp: Date.UTC(2025, 9, 18, 21), watts: 0, kwh: 12.34, yesterdayKwh: 22.15, monthKwh: 231.6, yearKwh: 3793.1 };
+
+		it('keeps readings from today', () => {
+			assert.strictEqual(rollOverReadings(readings, 'UTC', readings.timestamp + HOUR), readings);
+		});
+
+		it('starts a new day after the site\'s midnight', () => {
+			const rolled = rollOverReadings(readings, 'UTC', readings.timestamp + 4 * HOUR);
+
+			assert.strictEqual(rolled.kwh, 0);
+			assert.strictEqual(rolled.yesterdayKwh, 12.34);
+			assert.strictEqual(rolled.monthKwh, 231.6);
+			assert.strictEqual(rolled.rolledOver, true);
+			assert.strictEqual(readings.kwh, 12.34, 'the original readings are unchanged');
+		});
+
+		it('uses the site timezone for midnight', () => {
+			// Polled at 21:00 in Sydney and 06:00 in New York, four hours later
+			// Sydney has passed midnight and New York has not
+			const evening = { ...readings, timestamp: Date.UTC(2025, 9, 18, 10) };
+
+			assert.strictEqual(rollOverReadings(evening, 'Australia/Sydney', evening.timestamp + 4 * HOUR).kwh, 0);
+			assert.strictEqual(rollOverReadings(evening, 'America/New_York', evening.timestamp + 4 * HOUR), evening);
+		});
+
+		it('rolls over only once per day', () => {
+			const rolled = rollOverReadings(readings, 'UTC', readings.timestamp + 4 * HOUR);
+
+			assert.strictEqual(rollOverReadings(rolled, 'UTC', readings.timestamp + 5 * HOUR), rolled);
+			assert.strictEqual(rollOverReadings(rolled, 'UTC', readings.timestamp + 28 * HOUR).yesterdayKwh, 0);
+		});
+
+		it('forgets yesterday after more than a day', () => {
+			assert.strictEqual(rollOverReadings(readings, 'UTC', readings.timestamp + 30 * HOUR).yesterdayKwh, null);
+		});
+
+		it('resets the month and year totals when they change', () => {
+			const december = { ...readings, timestamp: Date.UTC(2025, 11, 31, 22) };
+			const rolled = rollOverReadings(december, 'UTC', Date.UTC(2026, 0, 1, 1));
+
+			assert.strictEqual(rolled.monthKwh, 0);
+			assert.strictEqual(rolled.yearKwh, 0);
+		});
+	});
+});
@@ -0,0 +1,38 @@
+const assert = require('assert');
+const { getSunTimes } = require('../lib/sun');
+
+const MINUTE = 60 * 1000;
+
+// Within a few minutes of the published almanac times
+const assertNear = (actual, expected) => {
+	assert.ok(Math.abs(actual - expected) < 3 * MINUTE, `${new Date(actual).toISOString()} is not near ${new Date(expected).toISOString()}`);
+};
+
+describe('sun times', () => {
+	it('gives sunrise and sunset of the longest day in Amsterdam', () => {
+		const sun = getSunTimes(Date.UTC(2025, 5, 21, 12), 52.37, 4.90);
+
+		assertNear(sun.sunrise, Date.UTC(2025, 5, 21, 3, 18));
+		assertNear(sun.sunset, Date.UTC(2025, 5, 21, 20, 7));
+	});
+
+	it('works west of Greenwich and south of the equator', () => {
+		const denver = getSunTimes(Date.UTC(2025, 9, 18, 20), 39.74, -104.99);
+		assertNear(denver.sunrise, Date.UTC(2025, 9, 18, 13, 14));
+		assertNear(denver.sunset, Date.UTC(2025, 9, 19, 0, 18));
+
+		const sydney = getSunTimes(Date.UTC(2025, 0, 15, 2), -33.87, 151.21);
+		assertNear(sydney.sunrise, Date.UTC(2025, 0, 14, 19, 1));
+		assertNear(sydney.sunset, Date.UTC(2025, 0, 15, 9, 10));
+	});
+
+	it('reports polar night and midnight sun', () => {
+		const winter = getSunTimes(Date.UTC(2025, 11, 21, 12), 69.65, 18.96);
+		assert.strictEqual(winter.polarNight, true);
+		assert.strictEqual(winter.sunrise, null);
+
+		const summer = getSunTimes(Date.UTC(2025, 5, 21, 12), 69.65, 18.96);
+		assert.strictEqual(summer.polarDay, true);
+		assert.strictEqual(summer.sunset, null);
+	});
+});
@@ -0,0 +1,139 @@
+const assert = require('assert');
+const FakeTimers = require('@sinonjs/fake-timers');
+const { ThresholdState } = require('../lib/threshold');
+
+describe('threshold state', () => {
+	const SECOND = 1000;
+	let clock;
+
+	beforeEach(() => {
+		clock = FakeTimers.install({ now: Date.UTC(2026, 9, 18, 10, 0), toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+	});
+
+	afterEach(() => {
+		clock.uninstall();
+	});
+
+	// A state that keeps the changes it emits
+	const createState = (options) => {
+		const state = new ThresholdState(options);
+		state.changes = [];
+		state.on('change', active => state.changes.push(active));
+		return state;
+	};
+
+	const updateAfter = (state, seconds, value) => {
+		clock.tick(seconds * SECOND);
+		return state.update(value, Date.now());
+	};
+
+	it('takes the state of the first value right away', () => {
+		const state = createState({ threshold: 500, minDwell: 60 });
+
+		assert.strictEqual(state.update(600, Date.now()), true);
+		assert.strictEqual(state.active, true);
+		assert.deepStrictEqual(state.changes, [true]);
+	});
+
+	describe('hysteresis', () => {
+		it('turns on at the threshold and off only below threshold - hysteresis', () => {
+			const state = createState({ threshold: 500, hysteresis: 100 });
+			state.update(450, Date.now());
+			assert.strictEqual(state.active, false);
+
+			assert.strictEqual(state.update(499, Date.now()), false);
+			assert.strictEqual(state.update(500, Date.now()), true);
+			assert.strictEqual(state.active, true);
+
+			// Inside the band the trigger stays on
+			assert.strictEqual(state.update(420, Date.now()), false);
+			assert.strictEqual(state.update(400, Date.now()), false);
+			assert.strictEqual(state.active, true);
+
+			assert.strictEqual(state.update(399, Date.now()), true);
+			assert.strictEqual(state.active, false);
+
+			// And once off, values in the band keep it off
+			assert.strictEqual(state.update(450, Date.now()), false);
+			assert.deepStrictEqual(state.changes, [false, true, false]);
+		});
+
+		it('switches on the threshold alone without hysteresis', () => {
+			const state = createState({ threshold: 500 });
+			state.update(500, Date.now());
+
+			assert.strictEqual(state.update(499, Date.now()), true);
+			assert.strictEqual(state.active, false);
+		});
+	});
+
+	describe('minDwell', () => {
+		it('holds a new state until it has lasted minDwell seconds', () => {
+			const state = createState({ threshold: 500, minDwell: 60 });
+			state.update(0, Date.now());
+
+			assert.strictEqual(updateAfter(state, 10, 600), false);
+			assert.strictEqual(updateAfter(state, 59, 700), false);
+			assert.strictEqual(state.active, false);
+
+			clock.tick(1 * SECOND);
+			assert.strictEqual(state.active, true);
+			assert.deepStrictEqual(state.changes, [false, true]);
+		});
+
+		it('changes when the dwell ends, without waiting for the next value', () => {
+			const state = createState({ threshold: 500, minDwell: 60 });
+			state.update(0, Date.now());
+
+			// Polled every 300 seconds, a flat value past the threshold
+			updateAfter(state, 300, 600);
+			clock.tick(59 * SECOND);
+			assert.strictEqual(state.active, false);
+			clock.tick(1 * SECOND);
+			assert.strictEqual(state.active, true);
+
+			// The next poll does not change it again
+			assert.strictEqual(updateAfter(state, 240, 600), false);
+			assert.deepStrictEqual(state.changes, [false, true]);
+		});
+
+		it('starts the dwell again when the value returns to the current state', () => {
+			const state = createState({ threshold: 500, minDwell: 60 });
+			state.update(0, Date.now());
+
+			state.update(600, Date.now());
+			// A passing cloud resets the wait
+			assert.strictEqual(updateAfter(state, 40, 300), false);
+			assert.strictEqual(updateAfter(state, 10, 600), false);
+			clock.tick(59 * SECOND);
+			assert.strictEqual(state.active, false);
+
+			clock.tick(1 * SECOND);
+			assert.strictEqual(state.active, true);
+			assert.deepStrictEqual(state.changes, [false, true]);
+		});
+
+		it('holds the off state as well', () => {
+			const state = createState({ threshold: 500, hysteresis: 100, minDwell: 30 });
+			state.update(600, Date.now());
+
+			assert.strictEqual(updateAfter(state, 5, 350), false);
+			clock.tick(29 * SECOND);
+			assert.strictEqual(state.active, true);
+			clock.tick(1 * SECOND);
+			assert.strictEqual(state.active, false);
+		});
+
+		it('drops a pending change on stop', () => {
+			const state = createState({ threshold: 500, minDwell: 60 });
+			state.update(0, Date.now());
+			state.update(600, Date.now());
+
+			state.stop();
+			clock.tick(120 * SECOND);
+
+			assert.strictEqual(state.active, false);
+			assert.strictEqual(clock.countTimers(), 0);
+		});
+	});
+});
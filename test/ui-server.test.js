@@ -0,0 +1,89 @@
+const assert = require('assert');
+const { fork } = require('child_process');
+const path = require('path');
+const { FakeEcuServer } = require('./helpers/fake-ecu');
+
+// The Homebridge UI runs the server as a child process and talks to it over IPC
+describe('settings UI server', function () {
+	this.timeout(10000);
+	let ecu;
+	let child;
+	let nextRequestId = 1;
+
+	before(async () => {
+		child = fork(path.join(__dirname, '..', 'homebridge-ui', 'server.js'), [], { silent: true });
+		await new Promise((resolve, reject) => {
+			child.once('error', reject);
+			child.on('message', message => message.action === 'ready' && resolve());
+		});
+	});
+
+	after(() => {
+		child.kill();
+	});
+
+	beforeEach(async () => {
+		ecu = new FakeEcuServer();
+		await ecu.start();
+	});
+
+	afterEach(async () => {
+		await ecu.stop();
+	});
+
+	// Send a request as the settings page does with homebridge.request()
+	const request = (requestPath, body) => {
+		const requestId = nextRequestId++;
+		return new Promise((resolve) => {
+			const listener = (message) => {
+				if (message.action === 'response' && message.payload.requestId === requestId) {
+					child.off('message', listener);
+					resolve(message.payload);
+				}
+			};
+			child.on('message', listener);
+			child.send({ action: 'request', requestId: requestId, path: requestPath, body: body });
+		});
+	};
+
+	const localAccount = () => ({ name: 'Roof', dataSource: 'local', ecuHost: '127.0.0.1', ecuPort: ecu.port });
+
+	it('returns the readings of the account being edited', async () => {
+		const response = await request('/test-connection', localAccount());
+
+		assert.strictEqual(response.success, true);
+		assert.strictEqual(response.data.ok, true);
+		assert.strictEqual(response.data.fault, null);
+		assert.strictEqual(response.data.readings.watts, 602);
+		assert.strictEqual(response.data.readings.kwh, 4.32);
+		assert.strictEqual(typeof response.data.readings.timestamp, 'number');
+		assert.strictEqual(ecu.commands.length, 2);
+	});
+
+	it('describes why no readings came back', async () => {
+		ecu.behaviour = 'close';
+		const response = await request('/test-connection', localAccount());
+
+		assert.strictEqual(response.success, true);
+		assert.strictEqual(response.data.ok, false);
+		assert.strictEqual(response.data.readings, null);
+		assert.strictEqual(typeof response.data.fault, 'string');
+		assert.ok(response.data.fault.length > 0);
+	});
+
+	it('rejects an incomplete account with the configuration problems', async () => {
+		const response = await request('/test-connection', { name: 'Roof', dataSource: 'local' });
+
+		assert.strictEqual(response.success, false);
+		assert.match(response.data.message, /configuration problem/);
+		assert.match(response.data.message, /ecuHost/);
+		assert.strictEqual(ecu.commands.length, 0);
+	});
+
+	it('answers unknown requests with Not Found', async () => {
+		const response = await request('/unknown', {});
+
+		assert.strictEqual(response.success, false);
+		assert.strictEqual(response.data.message, 'Not Found');
+	});
+});